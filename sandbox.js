@@ -0,0 +1,38 @@
+/**
+ * npm run sandbox — the whole tool against an in-process fake Learn, with no
+ * Blackboard, registration or network access needed. Open
+ * http://localhost:3000/sandbox and launch as one of the seeded users.
+ *
+ * Env is set before anything under src/ is required, because those modules
+ * read it at load time.
+ */
+
+const crypto = require('crypto')
+
+const port = parseInt(process.env.PORT || '3000', 10)
+const base = `http://localhost:${port}`
+
+Object.assign(process.env, {
+  SANDBOX: '1',
+  APP_URL: base,
+  LTI_PLATFORM_URL: base,
+  LTI_ISSUER: base,
+  LTI_CLIENT_ID: 'sandbox-client',
+  LTI_DEPLOYMENT_ID: 'sandbox-deployment',
+  LTI_AUTH_URL: `${base}/sandbox/oidcauth`,
+  LTI_JWKS_URL: `${base}/learn/api/public/v1/lti/tools/jwks`,
+  BB_KEY: 'sandbox-key',
+  BB_SECRET: 'sandbox-secret',
+  LTI_COOKIE_SECRET: crypto.randomBytes(32).toString('hex'),
+  LIBRARY_COURSES: process.env.LIBRARY_COURSES ?? 'courseId:RUBRIC-LIBRARY'
+})
+
+const express = require('express')
+const { createApp } = require('./src/app')
+
+const app = express()
+app.use(require('./src/sandbox'))
+app.get('/', (req, res) => res.redirect('/sandbox'))
+app.use(createApp())
+
+app.listen(port, () => console.log(`[bb-rubric-transfer] sandbox on ${base}/sandbox`))
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Move the tool's LTI keypair and registrations between environments.
+ *
+ *   npm run registration:export [-- --out state.json]   bundle → file or stdout
+ *   npm run registration:import -- state.json            bundle → this environment's storage
+ *   npm run keys:rotate                                  rotate the signing keys (see src/keys.js)
+ *
+ * Both use the storage configured by STORAGE / STORAGE_DIR / STORAGE_SQLITE
+ * (see src/storage). The bundle holds the private key — treat it as a secret.
+ * Its contents can also be pasted into TOOL_STATE for STORAGE=env.
+ */
+
+require('dotenv').config()
+const fs = require('fs')
+const { store, exportState, importState } = require('../src/storage')
+
+const [command, ...args] = process.argv.slice(2)
+
+function usage () {
+  console.error('usage: registration.js export [--out file] | import <file> | rotate-keys')
+  process.exit(2)
+}
+
+try {
+  if (command === 'export') {
+    const i = args.indexOf('--out')
+    const json = JSON.stringify(exportState(), null, 2)
+    if (i === -1) process.stdout.write(json + '\n')
+    else {
+      if (!args[i + 1]) usage()
+      fs.writeFileSync(args[i + 1], json + '\n', { mode: 0o600 })
+      console.error(`Exported ${store.name} to ${args[i + 1]}`)
+    }
+  } else if (command === 'import') {
+    if (!args[0]) usage()
+    const count = importState(JSON.parse(fs.readFileSync(args[0], 'utf8')))
+    console.error(`Imported ${count} record(s) into ${store.name}`)
+  } else if (command === 'rotate-keys') {
+    const { rotate } = require('../src/keys')
+    for (const k of rotate('command').keys) console.error(`${k.status.padEnd(8)} ${k.kid}`)
+  } else {
+    usage()
+  }
+} catch (err) {
+  console.error(err.message)
+  process.exit(1)
+}
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * Copy rubrics between courses without a browser — e.g. term rollover.
+ *
+ *   bb-rubric-transfer copy --from <course> --to <course>[,<course>…] [options]
+ *   bb-rubric-transfer batch mapping.csv [options]
+ *
+ * Courses are primary keys (_123_1) or prefixed ids (courseId:BIO101-F25).
+ * mapping.csv has a header row naming a from and a to column, and optionally
+ * a rubrics column (rubric ids separated by spaces or semicolons):
+ *
+ *   from,to
+ *   courseId:BIO101-MASTER,courseId:BIO101-S26-01
+ *
+ * Options:
+ *   --rubrics id,id            only these rubrics (copy)
+ *   --on-conflict POLICY       skip (default), rename or overwrite
+ *   --rename TEMPLATE          title for renamed copies, default "{title} (copy)"
+ *   --convert-to TYPE          Points, Percentage, PointsRange or PercentageRange
+ *   --rescale-to N             new maximum points
+ *   --rounding STEP            hundredth, tenth, half or integer
+ *   --dry-run                  fetch and map everything, write nothing
+ *   --report FILE              .json or .csv; JSON on stdout when left out
+ *   --reg ID                   registration whose Learn site to use, when several
+ *
+ * Runs as the REST application (client credentials, BB_KEY / BB_SECRET), so
+ * its system role decides which courses it can read and write. Progress goes
+ * to stderr. Exit status: 0 done, 1 some rubric failed, 2 bad arguments.
+ */
+
+require('dotenv').config()
+const fs = require('fs')
+const path = require('path')
+const { getAppToken, platformUrl } = require('../src/platforms')
+const { copyCourse, countActions } = require('../src/batch')
+const { CONFLICT_POLICIES, DEFAULT_RENAME } = require('../src/transfer')
+const { RUBRIC_TYPES } = require('../src/rubrics/mapping')
+const { ROUNDING } = require('../src/rubrics/rescale')
+const { parseCSV } = require('../src/rubrics/fileImport')
+const { csvField } = require('../src/rubrics/export')
+
+const FLAGS = ['dry-run', 'help']
+const OPTIONS = ['from', 'to', 'rubrics', 'on-conflict', 'rename', 'convert-to', 'rescale-to', 'rounding', 'report', 'reg']
+
+class UsageError extends Error {}
+
+const list = (v) => String(v || '').split(/[,;\s]+/).map(s => s.trim()).filter(Boolean)
+
+/** argv → { command, args, opts } */
+function parseArgs (argv) {
+  const args = [], opts = {}
+  for (let i = 0; i < argv.length; i++) {
+    const m = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/)
+    if (!m) { args.push(argv[i]); continue }
+    const [, name, inline] = m
+    if (FLAGS.includes(name)) opts[name] = true
+    else if (OPTIONS.includes(name)) {
+      const value = inline ?? argv[++i]
+      if (value === undefined) throw new UsageError(`--${name} needs a value`)
+      opts[name] = value
+    } else throw new UsageError(`Unknown option --${name}`)
+  }
+  return { command: args.shift(), args, opts }
+}
+
+/** Score transform from the options, or null — as transformOptions in ui.js */
+function transformFrom (opts) {
+  if (opts['convert-to'] && !RUBRIC_TYPES.includes(opts['convert-to'])) {
+    throw new UsageError(`--convert-to must be one of ${RUBRIC_TYPES.join(', ')}`)
+  }
+  if (opts['rescale-to'] && !(Number(opts['rescale-to']) > 0)) throw new UsageError('--rescale-to must be a positive number')
+  if (opts.rounding && !ROUNDING[opts.rounding]) {
+    throw new UsageError(`--rounding must be one of ${Object.keys(ROUNDING).join(', ')}`)
+  }
+  const transform = {
+    convertTo: opts['convert-to'] || '',
+    rescaleTo: opts['rescale-to'] ? Number(opts['rescale-to']) : null,
+    rounding: opts.rounding && opts.rounding !== 'none' ? opts.rounding : ''
+  }
+  return transform.convertTo || transform.rescaleTo || transform.rounding ? transform : null
+}
+
+/** mapping.csv → [{ from, to, rubricIds }] */
+function readMapping (file) {
+  const [header, ...records] = parseCSV(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''))
+  if (!header) throw new UsageError(`${file} is empty`)
+  const names = header.fields.map(f => f.trim().toLowerCase())
+  const col = (...aliases) => names.findIndex(n => aliases.includes(n))
+  const from = col('from', 'source'), to = col('to', 'destination'), rubrics = col('rubrics', 'rubric_ids')
+  if (from === -1 || to === -1) throw new UsageError(`${file} needs a header row with from and to columns`)
+
+  return records.map(({ line, fields }) => {
+    const pair = { from: (fields[from] || '').trim(), to: (fields[to] || '').trim(), rubricIds: list(fields[rubrics]) }
+    if (!pair.from || !pair.to) throw new UsageError(`${file} line ${line}: from and to are both required`)
+    return pair
+  })
+}
+
+/** The copies the command asks for */
+function pairsFor (command, args, opts) {
+  if (command === 'copy') {
+    if (!opts.from || !opts.to) throw new UsageError('copy needs --from and --to')
+    return list(opts.to).map(to => ({ from: opts.from, to, rubricIds: list(opts.rubrics) }))
+  }
+  if (command === 'batch') {
+    if (!args[0]) throw new UsageError('batch needs a mapping file')
+    if (opts.rubrics) throw new UsageError('Use a rubrics column in the mapping file instead of --rubrics')
+    return readMapping(args[0])
+  }
+  throw new UsageError(command ? `Unknown command ${command}` : 'Say copy or batch')
+}
+
+function toCSV (rows) {
+  const columns = ['from', 'to', 'source_id', 'dest_id', 'rubric_id', 'action', 'title', 'copy_id', 'reason', 'changes']
+  const lines = rows.map(r => [
+    r.from, r.to, r.sourceId, r.destId, r.rubricId, r.action, r.title, r.copyId, r.reason,
+    r.changes.map(c => c.reason).join('; ')
+  ].map(csvField).join(','))
+  return [columns.join(','), ...lines].join('\r\n') + '\r\n'
+}
+
+function writeReport (report, file) {
+  if (!file) return process.stdout.write(JSON.stringify(report, null, 2) + '\n')
+  const body = path.extname(file).toLowerCase() === '.csv' ? toCSV(report.results) : JSON.stringify(report, null, 2) + '\n'
+  fs.writeFileSync(file, body)
+  console.error(`Report written to ${file}`)
+}
+
+async function main () {
+  const { command, args, opts } = parseArgs(process.argv.slice(2))
+  if (opts.help) return usage()
+
+  const onConflict = opts['on-conflict'] || 'skip'
+  if (!CONFLICT_POLICIES[onConflict]) {
+    throw new UsageError(`--on-conflict must be one of ${Object.keys(CONFLICT_POLICIES).join(', ')}`)
+  }
+  const transform = transformFrom(opts)
+  const pairs = pairsFor(command, args, opts)
+
+  const platform = platformUrl(opts.reg)
+  if (!platform) {
+    throw new UsageError(opts.reg ? `No registration with id ${opts.reg}` : 'Several Learn sites are registered — pass --reg')
+  }
+  if (!process.env.BB_KEY || !process.env.BB_SECRET) throw new Error('BB_KEY and BB_SECRET must be set')
+
+  const started = new Date().toISOString()
+  const dryRun = !!opts['dry-run']
+  if (dryRun) console.error('Dry run — nothing will be written')
+  const results = []
+  for (const pair of pairs) {
+    console.error(`${pair.from} → ${pair.to}`)
+    // Fetched per pair: the cached token is renewed when it nears expiry
+    const token = await getAppToken(platform)
+    results.push(...await copyCourse({
+      ...pair,
+      token,
+      onConflict,
+      template: opts.rename || DEFAULT_RENAME,
+      transform,
+      dryRun,
+      onResult: (r) => console.error(`  ${r.action.padEnd(11)} ${[r.title || r.rubricId, r.reason].filter(Boolean).join(' — ')}`)
+    }))
+  }
+
+  const counts = countActions(results)
+  writeReport({
+    started_at: started,
+    finished_at: new Date().toISOString(),
+    dry_run: dryRun,
+    platform,
+    options: { onConflict, template: opts.rename || DEFAULT_RENAME, transform },
+    counts,
+    results
+  }, opts.report)
+  console.error(Object.entries(counts).map(([action, n]) => `${n} ${action}`).join(', '))
+  return counts.failed ? 1 : 0
+}
+
+function usage () {
+  console.error([
+    'usage: bb-rubric-transfer copy --from <course> --to <course>[,<course>…] [options]',
+    '       bb-rubric-transfer batch mapping.csv [options]',
+    'options: --rubrics id,id  --on-conflict skip|rename|overwrite  --rename TEMPLATE',
+    '         --convert-to TYPE  --rescale-to N  --rounding STEP  --dry-run  --report FILE  --reg ID'
+  ].join('\n'))
+  return 0
+}
+
+main().then(code => { process.exitCode = code }, err => {
+  if (err instanceof UsageError) {
+    console.error(err.message)
+    usage()
+    process.exitCode = 2
+  } else {
+    const detail = err.response?.data?.error_description || err.response?.data?.error
+    console.error(detail ? `${err.message}: ${detail}` : err.message)
+    process.exitCode = 1
+  }
+})
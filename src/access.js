@@ -0,0 +1,120 @@
+/**
+ * Who may copy rubrics out of a course.
+ *
+ * The launch only shows the user teaches the destination course. Their 3LO
+ * token can often read much more — an administrator's can read every course —
+ * so before a source course's rubrics are listed, previewed, exported or
+ * copied, the user's own membership there is looked up and checked against
+ * the institution's policy:
+ *
+ *   SOURCE_COURSE_POLICY  role (default)  enrolled with a SOURCE_COURSE_ROLES role
+ *                         enrolled        enrolled in any role
+ *                         open            anything the token can read (no check)
+ *   SOURCE_COURSE_ROLES   course roles allowed under "role" — default
+ *                         Instructor,CourseBuilder; custom role ids work too
+ *   SOURCE_ADMIN_ROLES    system roles allowed to copy from any course they
+ *                         can read, enrolled or not (default none)
+ *
+ * Library courses (library.js) are always allowed — the institution chose
+ * to share them. Every refusal is logged. Decisions are cached per token and course for a
+ * few minutes, since each preview on the rubric list asks again.
+ */
+
+const { getMembership, getCurrentUser, NotFoundError, explain } = require('./rest/bbClient')
+const { isLibraryCourse } = require('./library')
+
+const list = (v) => String(v || '').split(',').map(s => s.trim()).filter(Boolean)
+
+const POLICY = process.env.SOURCE_COURSE_POLICY || 'role'
+const COURSE_ROLES = list(process.env.SOURCE_COURSE_ROLES || 'Instructor,CourseBuilder')
+const ADMIN_ROLES = list(process.env.SOURCE_ADMIN_ROLES)
+const CACHE_MS = 5 * 60_000
+
+if (!['role', 'enrolled', 'open'].includes(POLICY)) {
+  throw new Error(`Unknown SOURCE_COURSE_POLICY "${POLICY}" — use role, enrolled or open`)
+}
+
+// `${token}|${courseId}` → { decision, userId, expires }
+const decisions = new Map()
+
+/** The user's enrollment in courseId, or null when there is none they can see */
+async function membershipIn (courseId, userId, token) {
+  try {
+    const m = await getMembership(courseId, userId, token)
+    return m.availability?.available === 'No' ? null : m
+  } catch (err) {
+    // Learn answers 403 rather than 404 to some accounts asking about a course
+    // they aren't in. A 401 (expired or revoked token) is a failed lookup.
+    if (err instanceof NotFoundError || err.status === 403) return null
+    throw err
+  }
+}
+
+async function decide (courseId, { token, userId }) {
+  if (POLICY === 'open') return { allowed: true, reason: 'policy open' }
+  if (await isLibraryCourse(courseId, token)) return { allowed: true, reason: 'library course' }
+
+  const membership = await membershipIn(courseId, userId, token)
+  const role = membership?.courseRoleId || null
+  if (membership && (POLICY === 'enrolled' || COURSE_ROLES.includes(role))) {
+    return { allowed: true, role, reason: `course role ${role}` }
+  }
+
+  if (ADMIN_ROLES.length) {
+    const systemRoles = (await getCurrentUser(token)).systemRoleIds || []
+    const admin = systemRoles.find(r => ADMIN_ROLES.includes(r))
+    if (admin) return { allowed: true, role, reason: `system role ${admin}` }
+  }
+
+  return {
+    allowed: false,
+    role,
+    reason: membership ? `course role ${role} not allowed` : 'not enrolled',
+    message: membership
+      ? `You're enrolled in that course as ${role}. Rubrics can only be copied from courses where you are ${COURSE_ROLES.join(' or ')}.`
+      : 'You aren\'t enrolled in that course. Rubrics can only be copied from courses you teach.'
+  }
+}
+
+/**
+ * { allowed, role, reason, message } for copying out of courseId (a primary
+ * key). message is what to tell the user when allowed is false. A failed
+ * lookup refuses, with the reason in message, and isn't cached.
+ */
+async function checkSourceAccess (courseId, { token, userId, action = '' }) {
+  const key = `${token}|${courseId}`
+  const cached = decisions.get(key)
+  let decision = null
+  if (cached && cached.expires > Date.now()) ({ decision, userId } = cached)
+
+  if (!decision) {
+    try {
+      if (!userId) userId = (await getCurrentUser(token)).id
+      decision = await decide(courseId, { token, userId })
+    } catch (err) {
+      console.error('[access] could not check source course', courseId, 'for user', userId, '—', err.message)
+      return { allowed: false, role: null, reason: 'lookup failed', message: `Couldn't check your role in that course: ${explain(err)}` }
+    }
+    if (decisions.size > 5000) decisions.clear()
+    decisions.set(key, { decision, userId, expires: Date.now() + CACHE_MS })
+  }
+
+  if (!decision.allowed) {
+    console.warn('[access] denied', JSON.stringify({
+      at: new Date().toISOString(), user: userId, source: courseId, action, role: decision.role, reason: decision.reason
+    }))
+  }
+  return decision
+}
+
+/** Whether the user is enrolled in courseId with one of SOURCE_COURSE_ROLES — e.g. library staff */
+async function hasCourseRole (courseId, { token, userId }) {
+  try {
+    return COURSE_ROLES.includes((await membershipIn(courseId, userId, token))?.courseRoleId)
+  } catch (err) {
+    console.error('[access] could not look up role in', courseId, '—', err.message)
+    return false
+  }
+}
+
+module.exports = { checkSourceAccess, hasCourseRole }
@@ -0,0 +1,83 @@
+/**
+ * Admin endpoints, for operators rather than instructors. Every request
+ * needs `Authorization: Bearer <ADMIN_TOKEN>`; with ADMIN_TOKEN unset the
+ * endpoints don't exist.
+ *
+ *   GET  /admin/keys          the published key set (kids, status, dates)
+ *   POST /admin/keys/rotate   rotate now — see keys.js
+ *   GET  /admin/library       the rubric library's course identifiers
+ *   PUT  /admin/library       replace them: { "courses": ["courseId:LIB-RUBRICS", …] }
+ *   GET  /admin/api-tokens    JSON API tokens (names and dates, no secrets)
+ *   POST /admin/api-tokens    issue one: { "name": "…", "reg": "<registration id>" }
+ *   DELETE /admin/api-tokens/:id   revoke one
+ */
+
+const express = require('express')
+const router = express.Router()
+const crypto = require('crypto')
+const { describe, rotate } = require('./keys')
+const { libraryRefs, setLibraryCourses } = require('./library')
+const { ReadOnlyStorageError } = require('./storage')
+const { issueApiToken, listApiTokens, revokeApiToken } = require('./apiTokens')
+const { getRegistration, platformUrl } = require('./platforms')
+
+function requireAdmin (req, res, next) {
+  const expected = process.env.ADMIN_TOKEN
+  if (!expected) return res.status(404).json({ error: 'Not found' })
+  const given = Buffer.from((req.get('authorization') || '').replace(/^Bearer /, ''))
+  const want = Buffer.from(expected)
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return res.status(401).json({ error: 'Admin token required' })
+  }
+  next()
+}
+
+router.use('/admin', requireAdmin)
+
+router.get('/admin/keys', (req, res) => res.json(describe()))
+
+router.post('/admin/keys/rotate', (req, res) => {
+  try {
+    res.json(rotate('admin'))
+  } catch (err) {
+    res.status(409).json({ error: err.message })
+  }
+})
+
+router.get('/admin/library', (req, res) => res.json({ courses: libraryRefs() }))
+
+router.put('/admin/library', (req, res) => {
+  try {
+    res.json({ courses: setLibraryCourses(req.body?.courses) })
+  } catch (err) {
+    res.status(err instanceof ReadOnlyStorageError ? 409 : 400).json({ error: err.message })
+  }
+})
+
+router.get('/admin/api-tokens', (req, res) => res.json({ tokens: listApiTokens() }))
+
+router.post('/admin/api-tokens', (req, res) => {
+  const { name, reg } = req.body || {}
+  if (reg && !getRegistration(reg)) return res.status(400).json({ error: `No registration with id ${reg}` })
+  // Without reg the token's calls go to the only site there is
+  if (!platformUrl(reg)) {
+    return res.status(400).json({
+      error: reg ? 'That registration\'s Learn site is not a configured one (LTI_PLATFORM_URLS)' : 'Several Learn sites are configured — say which one with reg'
+    })
+  }
+  try {
+    res.status(201).json(issueApiToken({ name, reg: reg || null }))
+  } catch (err) {
+    res.status(err instanceof ReadOnlyStorageError ? 409 : 400).json({ error: err.message })
+  }
+})
+
+router.delete('/admin/api-tokens/:id', (req, res) => {
+  try {
+    revokeApiToken(req.params.id) ? res.status(204).end() : res.status(404).json({ error: 'No such token' })
+  } catch (err) {
+    res.status(409).json({ error: err.message })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,59 @@
+/**
+ * Institution-issued tokens for the JSON API (routes/api.js).
+ *
+ * An operator creates one per script or team with POST /admin/api-tokens;
+ * the secret is shown once and only its SHA-256 is stored, in the tool's
+ * storage under api_tokens/<id>. A token is tied to one registration (the
+ * Learn site its calls go to) and acts there with the REST application's
+ * client-credentials token.
+ *
+ * Token format: bbrt_<id>_<secret>
+ */
+
+const crypto = require('crypto')
+const { store } = require('./storage')
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest()
+
+/** { id, name, reg, created_at, last_used_at } — never the hash */
+const describeToken = (id, { name, reg, created_at: createdAt, last_used_at: lastUsedAt }) =>
+  ({ id, name, reg: reg || null, created_at: createdAt, last_used_at: lastUsedAt || null })
+
+/** Create a token; the returned `token` is the only copy of the secret */
+function issueApiToken ({ name, reg = null }) {
+  if (!name || typeof name !== 'string') throw new Error('name is required')
+  const id = crypto.randomBytes(6).toString('hex')
+  const secret = crypto.randomBytes(24).toString('base64url')
+  const record = { name: name.trim(), reg, hash: sha256(secret).toString('hex'), created_at: new Date().toISOString() }
+  store.set('api_tokens', id, record)
+  return { ...describeToken(id, record), token: `bbrt_${id}_${secret}` }
+}
+
+/** The token's record ({ id, name, reg, … }) if it is valid, else null */
+function verifyApiToken (token) {
+  const m = String(token || '').match(/^bbrt_([a-f0-9]{12})_([\w-]+)$/)
+  if (!m) return null
+  const record = store.get('api_tokens', m[1])
+  if (!record) return null
+  if (!crypto.timingSafeEqual(sha256(m[2]), Buffer.from(record.hash, 'hex'))) return null
+
+  // Note use at most hourly, and never let bookkeeping fail a request
+  const lastUsed = record.last_used_at ? Date.parse(record.last_used_at) : 0
+  if (!store.readOnly && Date.now() - lastUsed > 3600_000) {
+    try { store.set('api_tokens', m[1], { ...record, last_used_at: new Date().toISOString() }) } catch {}
+  }
+  return describeToken(m[1], record)
+}
+
+function listApiTokens () {
+  return store.list('api_tokens').map(({ key, value }) => describeToken(key, value))
+}
+
+/** true if the token existed */
+function revokeApiToken (id) {
+  if (!store.get('api_tokens', id)) return false
+  store.delete('api_tokens', id)
+  return true
+}
+
+module.exports = { issueApiToken, verifyApiToken, listApiTokens, revokeApiToken }
@@ -0,0 +1,66 @@
+/**
+ * The tool's Express app — every router, no listener. server.js starts it
+ * for real, sandbox.js starts it next to a fake Learn.
+ */
+
+const express = require('express')
+const cookieParser = require('cookie-parser')
+const ltiRouter = require('./lti')
+const oauthRouter = require('./oauth')
+const registrationRouter = require('./registration')
+const uiRouter = require('./routes/ui')
+const apiRouter = require('./routes/api')
+const adminRouter = require('./admin')
+const { loadKeySet, scheduleRotation } = require('./keys')
+
+function createApp () {
+  // Create (or check) the key set now, so /jwks is ready and STORAGE=env
+  // without keys fails at boot rather than on the first launch
+  loadKeySet()
+
+  const app = express()
+
+  // Trust Render's load balancer so req.protocol returns 'https' correctly
+  app.set('trust proxy', 1)
+
+  app.use(express.json())
+  app.use(express.urlencoded({ extended: true }))
+  app.use(cookieParser())
+
+  // Health check
+  app.get('/health', (req, res) => res.json({ status: 'ok' }))
+
+  // Root — tool must be launched from Blackboard
+  app.get('/', (req, res) => res.send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Rubric Transfer</title>
+<style>body{font-family:system-ui,sans-serif;max-width:480px;margin:80px auto;text-align:center;color:#475569}</style>
+</head><body>
+<h2>Rubric Transfer</h2>
+<p>This tool must be launched from within a Blackboard course.</p>
+<p>Contact your administrator if you need access.</p>
+</body></html>`))
+
+  // LTI Dynamic Registration
+  app.use('/', registrationRouter)
+
+  // OAuth 3LO
+  app.use('/', oauthRouter)
+
+  // LTI 1.3 endpoints
+  app.use('/', ltiRouter)
+
+  // UI routes
+  app.use('/ui', uiRouter)
+
+  // JSON API for scripts
+  app.use('/api/v1', apiRouter, apiRouter.handleErrors)
+
+  // Operator endpoints (key rotation, rubric library)
+  app.use('/', adminRouter)
+
+  scheduleRotation()
+
+  return app
+}
+
+module.exports = { createApp }
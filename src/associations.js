@@ -0,0 +1,123 @@
+/**
+ * Carry rubric associations (rubric ↔ gradebook column / assignment) from the
+ * source course to the rubrics a job created in the destination.
+ *
+ * Two steps, so the instructor can correct the matching in between:
+ *   planAssociations   read each source rubric's associations and propose the
+ *                      destination column with the same external id, else
+ *                      the same name
+ *   applyAssociations  create the chosen associations on the new rubrics
+ *
+ * Both record their state on job.associations so the job page can show it.
+ */
+
+const {
+  listRubricAssociations, createRubricAssociation, listGradebookColumns, explain
+} = require('./rest/bbClient')
+
+const nameKey = (s) => String(s || '').trim().toLowerCase()
+
+/** The gradebook column an association points at, in either of Learn's shapes */
+function columnOf (assoc, columns) {
+  const entity = assoc.associationEntity || assoc
+  if (entity.gradebookColumnId) return columns.find(c => c.id === entity.gradebookColumnId)
+  if (entity.contentId) return columns.find(c => c.contentId === entity.contentId)
+  return null
+}
+
+/** Best destination column for a source column: external id, then name */
+function matchColumn (src, destColumns) {
+  if (src.externalId) {
+    const hit = destColumns.find(c => c.externalId && c.externalId === src.externalId)
+    if (hit) return { column: hit, by: 'external id' }
+  }
+  const hit = destColumns.find(c => nameKey(c.name) === nameKey(src.name))
+  return hit ? { column: hit, by: 'title' } : { column: null, by: null }
+}
+
+/**
+ * Fill job.associations.proposals for every rubric the job copied.
+ * Items that failed or were skipped have no destination rubric to attach to.
+ */
+async function planAssociations (job, token) {
+  const proposals = []
+  const destColumns = {}
+  const errors = []
+  const sourceColumns = await listGradebookColumns(job.sourceId, token)
+
+  for (const item of job.items) {
+    const r = item.result
+    if (!r || !['created', 'renamed', 'overwritten'].includes(r.action)) continue
+
+    let assocs
+    try {
+      assocs = (await listRubricAssociations(job.sourceId, item.rubricId, token)).results || []
+    } catch (err) {
+      errors.push(`${r.title}: could not read associations (${explain(err)})`)
+      continue
+    }
+    if (!assocs.length) continue
+
+    destColumns[item.destId] ||= await listGradebookColumns(item.destId, token)
+    for (const assoc of assocs) {
+      const src = columnOf(assoc, sourceColumns)
+      if (!src) {
+        errors.push(`${r.title}: associated with an item that has no gradebook column`)
+        continue
+      }
+      const { column, by } = matchColumn(src, destColumns[item.destId])
+      proposals.push({
+        destId: item.destId,
+        rubricId: r.id,
+        rubricTitle: r.title,
+        source: { id: src.id, name: src.name, externalId: src.externalId || null },
+        usedForGrading: assoc.usedForGrading !== false,
+        match: column?.id || null,
+        matchedBy: by
+      })
+    }
+  }
+
+  job.associations = {
+    status: 'planned',
+    proposals,
+    errors,
+    // Choices for the manual override, per destination course
+    columns: Object.fromEntries(Object.entries(destColumns).map(([d, cols]) =>
+      [d, cols.map(c => ({ id: c.id, name: c.name }))])),
+    results: []
+  }
+  return job.associations
+}
+
+/**
+ * Create the associations. choices[i] is the destination column id for
+ * proposal i, or '' to leave that one out.
+ */
+async function applyAssociations (job, choices, token) {
+  const plan = job.associations
+  const results = []
+  for (const [i, p] of plan.proposals.entries()) {
+    const columnId = choices[i] ?? p.match
+    const column = (plan.columns[p.destId] || []).find(c => c.id === columnId)
+    const base = { rubricTitle: p.rubricTitle, from: p.source.name, destId: p.destId, rubricId: p.rubricId }
+    if (!column) {
+      results.push({ ...base, to: null, status: 'skipped' })
+      continue
+    }
+    try {
+      await createRubricAssociation(p.destId, p.rubricId, {
+        associationEntity: { gradebookColumnId: column.id },
+        usedForGrading: p.usedForGrading
+      }, token)
+      results.push({ ...base, to: column.name, columnId: column.id, status: 'associated' })
+    } catch (err) {
+      results.push({ ...base, to: column.name, status: 'failed', reason: explain(err) })
+    }
+  }
+  plan.status = 'done'
+  plan.results = results
+  return results
+}
+
+module.exports = { planAssociations, applyAssociations }
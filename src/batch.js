@@ -0,0 +1,105 @@
+/**
+ * Course-to-course rubric copies without a browser — what
+ * scripts/transfer.js runs for term rollover and the like.
+ *
+ * Calls are made with the REST application's client-credentials token
+ * (platforms.js getAppToken), so there is no instructor and no source course
+ * check: the application's system role decides what it can read and write.
+ * Each rubric goes through transferRubric, the same path as the pages. With
+ * dryRun every rubric is still fetched and mapped, but nothing is written.
+ */
+
+const { getCourse, listRubrics, explain } = require('./rest/bbClient')
+const { DEFAULT_RENAME, loadExisting, transferRubric } = require('./transfer')
+
+const ACTIONS = ['created', 'renamed', 'overwritten', 'skipped', 'failed']
+
+/**
+ * Copy rubrics from one course into another.
+ *
+ * opts: { from, to, rubricIds?, token, onConflict, template, transform,
+ *         dryRun, onResult(row) }
+ * from and to are any identifier getCourse accepts. Without rubricIds every
+ * rubric in the source is copied. Never throws — a course that can't be
+ * read comes back as a single failed row with rubricId null.
+ *
+ * Returns rows of { from, to, sourceId, destId, rubricId, action, title,
+ * copyId, reason, changes }.
+ */
+async function copyCourse (opts) {
+  const { from, to, token, onResult = () => {} } = opts
+  const rows = []
+  const add = (row) => {
+    const full = {
+      from, to, sourceId: null, destId: null, rubricId: null,
+      action: 'failed', title: null, copyId: null, reason: null, changes: [],
+      ...row
+    }
+    rows.push(full)
+    onResult(full)
+  }
+
+  let source, dest
+  try {
+    source = await getCourse(from, token)
+  } catch (err) {
+    add({ reason: `Source course ${from}: ${explain(err)}` })
+    return rows
+  }
+  try {
+    dest = await getCourse(to, token)
+  } catch (err) {
+    add({ sourceId: source.id, reason: `Destination course ${to}: ${explain(err)}` })
+    return rows
+  }
+  const ids = { sourceId: source.id, destId: dest.id }
+  if (source.id === dest.id) {
+    add({ ...ids, reason: 'The destination must differ from the source' })
+    return rows
+  }
+
+  let rubricIds, existing
+  try {
+    rubricIds = opts.rubricIds?.length
+      ? opts.rubricIds
+      : ((await listRubrics(source.id, token)).results || []).map(r => r.id)
+    existing = await loadExisting(dest.id, token)
+  } catch (err) {
+    add({ ...ids, reason: explain(err) })
+    return rows
+  }
+
+  const ctx = {
+    ...ids,
+    token,
+    existing,
+    template: opts.template || DEFAULT_RENAME,
+    transform: opts.transform || null,
+    policyFor: () => opts.onConflict || 'skip',
+    dryRun: !!opts.dryRun
+  }
+
+  // One at a time, so renamed titles come out the same on every run
+  for (const rubricId of rubricIds) {
+    const result = await transferRubric(ctx, rubricId)
+    add({
+      ...ids,
+      rubricId,
+      action: result.action,
+      title: result.title || null,
+      copyId: result.action === 'failed' ? null : result.id,
+      reason: result.reason || null,
+      changes: result.report || []
+    })
+  }
+  return rows
+}
+
+/** { created: n, renamed: n, … } over report rows */
+function countActions (rows) {
+  const counts = Object.fromEntries(ACTIONS.map(a => [a, 0]))
+  for (const r of rows) counts[r.action]++
+  return counts
+}
+
+module.exports = { ACTIONS, copyCourse, countActions }
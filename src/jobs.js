@@ -0,0 +1,160 @@
+/**
+ * Background import jobs.
+ *
+ * POST /ui/import creates a job and returns immediately; the job copies its
+ * rubrics with bounded concurrency while the status page polls for progress.
+ * Each job is written to ./storage (workStore) after every rubric, so
+ * results survive a reload and a restart. A job interrupted by a restart, or
+ * with failures, can be resumed — rubrics that already succeeded are never
+ * created again.
+ *
+ * A job copies from one source course into one (pull) or many (push)
+ * destination courses; every item is a rubric × destination pair.
+ *
+ * The instructor's access token is only held in memory while a job runs;
+ * resuming uses the token of the request that asks for it.
+ */
+
+const crypto = require('crypto')
+const { workStore } = require('./storage')
+const { loadExisting, placeRubric, transferRubric } = require('./transfer')
+const { recordLink } = require('./links')
+const { explain } = require('./rest/bbClient')
+
+const CONCURRENCY = parseInt(process.env.IMPORT_CONCURRENCY || '4', 10)
+
+// Jobs with a live runner in this process
+const active = new Set()
+
+function saveJob (job) {
+  job.updated_at = new Date().toISOString()
+  workStore.set('jobs', job.id, job)
+}
+
+function getJob (id) {
+  if (!/^[a-f0-9]{32}$/.test(id || '')) return null
+  const job = workStore.get('jobs', id)
+  // Runner died with the process that owned it
+  if (job?.status === 'running' && !active.has(job.id)) job.status = 'interrupted'
+  return job
+}
+
+/**
+ * opts: {
+ *   userId, mode: 'pull' | 'push' | 'file', sourceId, destIds, rubricIds,
+ *   payloads, warnings,                  // file mode: parsed payloads, conversion notes
+ *   reports,                             // staged pull: mapRubric report per payload
+ *   courseNames: { [courseId]: name },   // for grouping results
+ *   policies: { [rubricId]: policy }, defaultPolicy, template,
+ *   carryAssociations,                   // re-create source rubric associations afterwards
+ *   transform: { convertTo, rescaleTo, rounding },  // score changes, see rubrics/rescale.js
+ *   draft                                // true: wait for runJob (preview first)
+ * }
+ * homeId is the launching course — where "Transfer more" goes back to.
+ */
+function createJob (opts) {
+  const mode = opts.mode || 'pull'
+  // File items have no source rubric — key them by position in the file.
+  // Staged course rubrics carry their payload and keep their source id.
+  const sources = opts.payloads
+    ? opts.payloads.map((payload, i) => ({
+      rubricId: opts.rubricIds?.[i] || `file:${i + 1}`,
+      payload,
+      report: opts.reports?.[i] || []
+    }))
+    : opts.rubricIds.map(rubricId => ({ rubricId }))
+  const job = {
+    id: crypto.randomBytes(16).toString('hex'),
+    userId: opts.userId,
+    mode,
+    sourceId: opts.sourceId,
+    destIds: opts.destIds,
+    homeId: mode === 'push' ? opts.sourceId : opts.destIds[0],
+    courseNames: opts.courseNames || {},
+    template: opts.template,
+    policies: opts.policies || {},
+    defaultPolicy: opts.defaultPolicy || 'skip',
+    warnings: opts.warnings || [],
+    carryAssociations: !!opts.carryAssociations,
+    transform: opts.transform || null,
+    associations: null,
+    status: opts.draft ? 'draft' : 'queued',
+    error: null,
+    created_at: new Date().toISOString(),
+    items: opts.destIds.flatMap(destId =>
+      sources.map(src => ({ ...src, destId, status: 'pending' })))
+  }
+  saveJob(job)
+  return job
+}
+
+/** Run fn over items with at most `limit` in flight */
+async function mapLimit (items, limit, fn) {
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++])
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+}
+
+/**
+ * Start (or resume) a job. Items already done are left alone; pending,
+ * failed and interrupted ones are (re)tried. Resolves when the job finishes.
+ */
+async function runJob (job, token) {
+  if (active.has(job.id)) return
+  active.add(job.id)
+  job.status = 'running'
+  job.error = null
+  // A plan made before a retry would miss the rubrics the retry creates
+  if (job.associations?.status === 'planned') job.associations = null
+  saveJob(job)
+
+  try {
+    // One lookup of existing titles per destination, shared by its items
+    const existing = {}
+    const existingFor = (destId) => (existing[destId] ||= loadExisting(destId, token))
+
+    const todo = job.items.filter(i => i.status !== 'done')
+    for (const item of todo) Object.assign(item, { status: 'pending', result: null })
+    saveJob(job)
+
+    await mapLimit(todo, CONCURRENCY, async (item) => {
+      item.status = 'running'
+      let result
+      try {
+        const ctx = {
+          sourceId: job.sourceId,
+          destId: item.destId,
+          token,
+          template: job.template,
+          transform: job.transform,
+          policyFor: (rid) => job.policies[rid] || job.defaultPolicy,
+          existing: await existingFor(item.destId)
+        }
+        result = item.payload
+          ? await placeRubric(ctx, item.rubricId, structuredClone(item.payload), item.report || [])
+              .catch(err => ({ action: 'failed', id: `${item.rubricId} "${item.payload.title}"`, reason: explain(err) }))
+          : await transferRubric(ctx, item.rubricId)
+      } catch (err) {
+        result = { action: 'failed', id: item.rubricId, reason: `Could not read destination rubrics: ${explain(err)}` }
+      }
+      item.status = result.action === 'failed' ? 'failed' : 'done'
+      item.result = result
+      // Copies of course rubrics are remembered for the sync view
+      if (job.sourceId && !item.rubricId.startsWith('file:') && ['created', 'renamed', 'overwritten'].includes(result.action)) {
+        recordLink({ sourceId: job.sourceId, rubricId: item.rubricId, destId: item.destId, copyId: result.id })
+      }
+      saveJob(job)
+    })
+    job.status = job.items.some(i => i.status === 'failed') ? 'failed' : 'complete'
+  } catch (err) {
+    job.status = 'failed'
+    job.error = explain(err)
+  } finally {
+    active.delete(job.id)
+    saveJob(job)
+  }
+}
+
+module.exports = { createJob, getJob, saveJob, runJob }
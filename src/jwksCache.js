@@ -0,0 +1,102 @@
+/**
+ * Platform JWKS cache for verifying launch id_tokens.
+ *
+ *   - one cached key set per JWKS URL, kept for as long as the response's
+ *     Cache-Control max-age (or Expires) allows — JWKS_CACHE_TTL_S (default
+ *     1h) when it says nothing, never more than a day
+ *   - an unknown kid triggers one refetch (at most every REFETCH_MS per URL,
+ *     so made-up kids can't be used to hammer the platform); if the kid is
+ *     still missing the launch is rejected — there is no guessing a key
+ *   - fetches time out after JWKS_TIMEOUT_MS (default 5s); if one fails, an
+ *     expired copy that has the kid is used rather than failing the launch
+ */
+
+const crypto = require('crypto')
+const axios = require('axios')
+
+const DEFAULT_TTL_MS = parseInt(process.env.JWKS_CACHE_TTL_S || '3600', 10) * 1000
+const MAX_TTL_MS = 24 * 3600_000
+const TIMEOUT_MS = parseInt(process.env.JWKS_TIMEOUT_MS || '5000', 10)
+const REFETCH_MS = 10_000
+
+class UnknownKeyError extends Error {
+  constructor (kid, url) {
+    super(kid
+      ? `The platform's key set (${url}) has no key with kid "${kid}"`
+      : 'The id_token header has no kid')
+    this.name = 'UnknownKeyError'
+    this.kid = kid
+  }
+}
+
+// url → { keys: Map(kid → KeyObject), expires, fetchedAt, pending }
+const cache = new Map()
+
+/** How long a JWKS response may be reused, from its caching headers */
+function ttlFrom (headers) {
+  const cc = String(headers['cache-control'] || '').toLowerCase()
+  if (/no-store|no-cache/.test(cc)) return 0
+  const m = cc.match(/(?:s-maxage|max-age)=(\d+)/)
+  if (m) return Math.min(parseInt(m[1], 10) * 1000, MAX_TTL_MS)
+  const expires = Date.parse(headers.expires || '')
+  if (Number.isFinite(expires)) return Math.min(Math.max(0, expires - Date.now()), MAX_TTL_MS)
+  return DEFAULT_TTL_MS
+}
+
+async function fetchKeySet (url) {
+  const resp = await axios.get(url, { timeout: TIMEOUT_MS, headers: { Accept: 'application/json' } })
+  const keys = new Map()
+  for (const jwk of resp.data?.keys || []) {
+    if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue
+    try { keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })) }
+    catch (e) { console.warn('[JWKS] skipping unusable key', jwk.kid, e.message) }
+  }
+  const now = Date.now()
+  return { keys, fetchedAt: now, expires: now + ttlFrom(resp.headers) }
+}
+
+/** Fetch into the cache; concurrent launches share one request */
+function refresh (url) {
+  const entry = cache.get(url)
+  if (entry?.pending) return entry.pending
+  const pending = fetchKeySet(url).then(fresh => {
+    cache.set(url, fresh)
+    return fresh
+  }, err => {
+    // Keep a failed fetch's timestamp so the refetch limit still applies
+    cache.set(url, { keys: entry?.keys || new Map(), expires: entry?.expires || 0, fetchedAt: Date.now() })
+    throw err
+  })
+  cache.set(url, { keys: new Map(), fetchedAt: 0, expires: 0, ...entry, pending })
+  return pending
+}
+
+/**
+ * The platform's public key for kid, as a KeyObject. Served from the cache
+ * when it's fresh and has the kid; throws UnknownKeyError when the platform
+ * doesn't publish that kid.
+ */
+async function getPlatformKey (url, kid) {
+  if (!kid) throw new UnknownKeyError(null, url)
+  let entry = cache.get(url)
+  const fresh = entry && entry.expires > Date.now()
+  if (fresh && entry.keys.has(kid)) return entry.keys.get(kid)
+
+  // Expired, never fetched, or a kid we haven't seen (the platform may have
+  // rotated) — but only one refetch per REFETCH_MS for a fresh set
+  if (!fresh || Date.now() - entry.fetchedAt >= REFETCH_MS) {
+    try {
+      entry = await refresh(url)
+    } catch (err) {
+      if (entry?.keys.has(kid)) {
+        console.warn('[JWKS] refresh failed, using cached key set:', err.message)
+        return entry.keys.get(kid)
+      }
+      throw new Error(`Could not fetch the platform's key set from ${url}: ${err.message}`)
+    }
+  }
+  if (!entry.keys.has(kid)) throw new UnknownKeyError(kid, url)
+  return entry.keys.get(kid)
+}
+
+module.exports = { getPlatformKey, UnknownKeyError }
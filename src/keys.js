@@ -0,0 +1,145 @@
+/**
+ * The tool's signing key set, published at /jwks.
+ *
+ * Three kinds of key, each with its own kid:
+ *   next      published ahead of time, so platforms have it cached before
+ *             it signs anything
+ *   active    signs everything the tool signs
+ *   previous  retired by a rotation; still published for KEY_GRACE_DAYS so
+ *             anything it signed keeps verifying, then removed
+ *
+ * rotate() promotes next → active and active → previous, and makes a new
+ * next key. It runs every KEY_ROTATION_DAYS (0 turns the schedule off) and
+ * on demand from POST /admin/keys/rotate or `npm run keys:rotate`.
+ *
+ * The set is kept in ./storage under keys/toolset and re-read on every use,
+ * so all instances see a rotation made by any of them.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { store } = require('./storage')
+
+const DAY = 24 * 3600_000
+const ROTATION_DAYS = parseFloat(process.env.KEY_ROTATION_DAYS ?? '90')
+const GRACE_DAYS = parseFloat(process.env.KEY_GRACE_DAYS ?? '7')
+
+// Single keypair written by earlier versions — becomes the first active key
+const LEGACY_KEYS_FILE = path.join('/tmp', 'lti_keypair.json')
+
+function generateKey (status) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const kid = crypto.randomBytes(8).toString('hex')
+  return {
+    kid,
+    status,
+    privatePem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicJwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' },
+    created_at: new Date().toISOString(),
+    ...(status === 'active' ? { activated_at: new Date().toISOString() } : {})
+  }
+}
+
+/** The single { kid, privatePem, publicJwk } of earlier versions, if any */
+function legacyKeypair () {
+  const saved = store.get('keys', 'tool')
+  if (saved) return saved
+  try { return JSON.parse(fs.readFileSync(LEGACY_KEYS_FILE, 'utf8')) }
+  catch { return null }
+}
+
+/** The stored key set, created (or converted from a legacy keypair) on first use */
+function loadKeySet () {
+  const saved = store.get('keys', 'toolset')
+  if (saved) return saved
+
+  const legacy = legacyKeypair()
+  if (store.readOnly) {
+    if (legacy) return { keys: [{ ...legacy, status: 'active' }] }
+    throw new Error(`No tool keys in ${store.name} — export them with npm run registration:export and load them into TOOL_STATE`)
+  }
+
+  const now = new Date().toISOString()
+  const active = legacy ? { ...legacy, status: 'active', created_at: now, activated_at: now } : generateKey('active')
+  const set = { keys: [active, generateKey('next')] }
+  store.set('keys', 'toolset', set)
+  console.log('[keys] Created key set in', store.name, '— active kid:', active.kid)
+  return set
+}
+
+const byStatus = (set, status) => set.keys.filter(k => k.status === status)
+
+/** Drop previous keys whose grace period is over; true if any went */
+function prune (set, now = Date.now()) {
+  const before = set.keys.length
+  set.keys = set.keys.filter(k => k.status !== 'previous' || now - Date.parse(k.retired_at) < GRACE_DAYS * DAY)
+  return set.keys.length !== before
+}
+
+// ── Public ────────────────────────────────────────────────────────────────────
+
+/** JWK Set for /jwks: next, active and previous keys still in their grace period */
+function publishedKeys () {
+  const set = loadKeySet()
+  prune(set)
+  return { keys: set.keys.map(k => k.publicJwk) }
+}
+
+/** { kid, privateKey } of the active key — for anything the tool signs */
+function signingKey () {
+  const [active] = byStatus(loadKeySet(), 'active')
+  return { kid: active.kid, privateKey: crypto.createPrivateKey(active.privatePem) }
+}
+
+/** Promote next → active → previous and publish a fresh next key */
+function rotate (reason = 'manual') {
+  if (store.readOnly) throw new Error(`Keys can't be rotated in read-only storage (${store.name})`)
+  const set = loadKeySet()
+  const now = new Date().toISOString()
+  for (const k of byStatus(set, 'active')) Object.assign(k, { status: 'previous', retired_at: now })
+  const [next] = byStatus(set, 'next')
+  if (next) Object.assign(next, { status: 'active', activated_at: now })
+  else set.keys.push(generateKey('active'))
+  set.keys.push(generateKey('next'))
+  prune(set)
+  set.rotated_at = now
+  store.set('keys', 'toolset', set)
+
+  const active = byStatus(set, 'active')[0]
+  console.log(`[keys] Rotated (${reason}) — active kid: ${active.kid}`)
+  return describe(set)
+}
+
+/** Key ids and dates, without private material */
+function describe (set = loadKeySet()) {
+  return {
+    rotated_at: set.rotated_at || null,
+    keys: set.keys.map(({ kid, status, created_at, activated_at, retired_at }) =>
+      ({ kid, status, created_at, activated_at, retired_at }))
+  }
+}
+
+/**
+ * Rotate when the active key is older than KEY_ROTATION_DAYS, and drop
+ * expired previous keys. Checked at start-up and hourly.
+ */
+function rotateIfDue () {
+  if (store.readOnly) return
+  const set = loadKeySet()
+  const [active] = byStatus(set, 'active')
+  if (ROTATION_DAYS > 0 && Date.now() - Date.parse(active.activated_at || active.created_at) >= ROTATION_DAYS * DAY) {
+    rotate('scheduled')
+  } else if (prune(set)) {
+    store.set('keys', 'toolset', set)
+  }
+}
+
+function scheduleRotation () {
+  try { rotateIfDue() } catch (err) { console.error('[keys] rotation check failed:', err.message) }
+  setInterval(() => {
+    try { rotateIfDue() } catch (err) { console.error('[keys] rotation check failed:', err.message) }
+  }, 3600_000).unref()
+}
+
+module.exports = { loadKeySet, publishedKeys, signingKey, rotate, describe, scheduleRotation }
@@ -0,0 +1,188 @@
+/**
+ * Institution rubric library — one or more Learn courses that hold approved
+ * rubrics, offered on /ui/home next to the instructor's own courses.
+ *
+ * The courses come from PUT /admin/library, or LIBRARY_COURSES (comma
+ * separated, any identifier getCourse accepts) until that has been used.
+ * They are read with the instructor's own token, so instructors need an
+ * enrollment there whose role can view rubrics. Copying out of a library
+ * course skips the source course role check (see access.js).
+ *
+ * Tags (department, discipline, …) live in the tool's storage, one record
+ * per library rubric, since Learn rubrics have nowhere to keep them. The
+ * catalogue is cached per token for a few minutes; tags are read fresh on
+ * every search so edits show at once.
+ */
+
+const { getCourse, listRubrics, explain } = require('./rest/bbClient')
+const { store } = require('./storage')
+
+const CACHE_MS = 10 * 60_000
+const MAX_TAGS = 10
+const MAX_TAG_LENGTH = 40
+
+// token → { value, expires }, for resolved courses and catalogues
+const courseCache = new Map()
+const catalogueCache = new Map()
+
+function cached (cache, token, load) {
+  const hit = cache.get(token)
+  if (hit && hit.expires > Date.now()) return hit.value
+  if (cache.size > 1000) cache.clear()
+  const value = load()
+  cache.set(token, { value, expires: Date.now() + CACHE_MS })
+  // A failed load shouldn't stick for the whole TTL
+  value.catch(() => cache.delete(token))
+  return value
+}
+
+// ── Configuration ─────────────────────────────────────────────────────────────
+
+/** Library course identifiers, as configured */
+function libraryRefs () {
+  const saved = store.get('settings', 'library')
+  if (saved) return saved.courses
+  return String(process.env.LIBRARY_COURSES || '').split(',').map(s => s.trim()).filter(Boolean)
+}
+
+/** Replace the library course list (admin) */
+function setLibraryCourses (courses) {
+  if (!Array.isArray(courses) || courses.some(c => typeof c !== 'string' || !c.trim())) {
+    throw new Error('courses must be an array of course identifiers')
+  }
+  store.set('settings', 'library', { courses: courses.map(c => c.trim()), updated_at: new Date().toISOString() })
+  courseCache.clear()
+  catalogueCache.clear()
+  return libraryRefs()
+}
+
+/**
+ * { courses: [{ id, courseId, name }], errors: [message] } — the library
+ * courses this token can see. One that can't be resolved is reported in
+ * errors rather than failing the rest.
+ */
+function libraryCourses (token) {
+  return cached(courseCache, token, async () => {
+    const courses = [], errors = []
+    for (const ref of libraryRefs()) {
+      try {
+        const c = await getCourse(ref, token)
+        if (!courses.some(x => x.id === c.id)) courses.push({ id: c.id, courseId: c.courseId, name: c.name })
+      } catch (err) {
+        errors.push(`Library course ${ref}: ${explain(err)}`)
+      }
+    }
+    return { courses, errors }
+  })
+}
+
+async function isLibraryCourse (courseId, token) {
+  if (!libraryRefs().length) return false
+  return (await libraryCourses(token)).courses.some(c => c.id === courseId)
+}
+
+// ── Tags ──────────────────────────────────────────────────────────────────────
+
+const tagKey = (courseId, rubricId) => `${courseId}:${rubricId}`
+
+/** "Biology, first year ,biology" → ['Biology', 'first year'] */
+function parseTags (input) {
+  const out = []
+  for (const raw of String(input || '').split(',')) {
+    const tag = raw.replace(/\s+/g, ' ').trim().slice(0, MAX_TAG_LENGTH)
+    if (tag && !out.some(t => t.toLowerCase() === tag.toLowerCase())) out.push(tag)
+  }
+  return out.slice(0, MAX_TAGS)
+}
+
+function tagsFor (courseId, rubricId) {
+  return store.get('library', tagKey(courseId, rubricId))?.tags || []
+}
+
+/** Replace one library rubric's tags; throws ReadOnlyStorageError with STORAGE=env */
+function setTags (courseId, rubricId, tags, userId) {
+  const key = tagKey(courseId, rubricId)
+  if (!tags.length) return store.delete('library', key)
+  store.set('library', key, { tags, updated_by: userId || null, updated_at: new Date().toISOString() })
+}
+
+// ── Catalogue and search ──────────────────────────────────────────────────────
+
+const words = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+
+/** Every library rubric, with the words it can be found by */
+function loadCatalogue (token) {
+  return cached(catalogueCache, token, async () => {
+    const resolved = await libraryCourses(token)
+    const errors = [...resolved.errors], entries = []
+    for (const course of resolved.courses) {
+      let rubrics
+      try {
+        rubrics = (await listRubrics(course.id, token)).results || []
+      } catch (err) {
+        errors.push(`Library course ${course.name || course.id}: ${explain(err)}`)
+        continue
+      }
+      for (const r of rubrics) {
+        const rows = r.rows || []
+        entries.push({
+          course,
+          rubric: { id: r.id, title: r.title || r.id, description: r.description || '', rubricType: r.rubricType || '', criteria: rows.length },
+          titleWords: new Set(words(r.title)),
+          textWords: new Set(words([
+            r.description,
+            ...rows.map(row => row.title),
+            ...rows.flatMap(row => (row.cells || []).map(c => c.description)),
+            ...(r.columns || []).map(c => c.title)
+          ].join(' ')))
+        })
+      }
+    }
+    return { entries, errors }
+  })
+}
+
+/** How well an entry matches every query word (prefix match), or 0 */
+function score (entry, terms, tagWords) {
+  let total = 0
+  for (const t of terms) {
+    const hit = (set) => [...set].some(w => w.startsWith(t))
+    if (hit(entry.titleWords)) total += 3
+    else if (hit(tagWords)) total += 2
+    else if (hit(entry.textWords)) total += 1
+    else return 0
+  }
+  return total
+}
+
+/**
+ * searchLibrary(token, { q, tag }) → { results, tags, courses, errors }
+ *
+ * q is matched against titles, descriptions, criteria, cell text and tags —
+ * every word must match the start of some word. tag narrows to rubrics
+ * carrying it. results are best first; tags lists every tag in use.
+ */
+async function searchLibrary (token, { q = '', tag = '' } = {}) {
+  const { entries, errors } = await loadCatalogue(token)
+  const { courses } = await libraryCourses(token)
+  const terms = words(q)
+  const wanted = tag.trim().toLowerCase()
+  const allTags = new Map()
+
+  const results = []
+  for (const entry of entries) {
+    const tags = tagsFor(entry.course.id, entry.rubric.id)
+    for (const t of tags) allTags.set(t.toLowerCase(), t)
+    if (wanted && !tags.some(t => t.toLowerCase() === wanted)) continue
+    const s = terms.length ? score(entry, terms, new Set(words(tags.join(' ')))) : 1
+    if (s) results.push({ course: entry.course, rubric: entry.rubric, tags, score: s })
+  }
+  results.sort((a, b) => b.score - a.score || a.rubric.title.localeCompare(b.rubric.title))
+
+  const tags = [...allTags.values()].sort((a, b) => a.localeCompare(b))
+  return { results, tags, courses, errors }
+}
+
+module.exports = {
+  libraryRefs, setLibraryCourses, libraryCourses, isLibraryCourse, parseTags, tagsFor, setTags, searchLibrary
+}
@@ -0,0 +1,41 @@
+/**
+ * Remembered source → copy links between rubrics.
+ *
+ * Every rubric a job creates or overwrites from a course is recorded here, so
+ * the sync view can pair a copy with its original even after either one was
+ * renamed. Kept in ./storage (workStore), one record per destination course.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { workStore } = require('./storage')
+
+// Written to /tmp by earlier versions — read until the course gets a new link
+const LEGACY_LINKS_DIR = path.join('/tmp', 'rubric_links')
+
+/** { [copyId]: { sourceId, rubricId, linked_at } } for one destination course */
+function readLinks (destId) {
+  const saved = workStore.get('links', destId)
+  if (saved) return saved
+  try {
+    return JSON.parse(fs.readFileSync(path.join(LEGACY_LINKS_DIR, `${encodeURIComponent(destId)}.json`), 'utf8'))
+  } catch { return {} }
+}
+
+/** Remember that copyId in destId was made from rubricId in sourceId */
+function recordLink ({ sourceId, rubricId, destId, copyId }) {
+  const links = readLinks(destId)
+  links[copyId] = { sourceId, rubricId, linked_at: new Date().toISOString() }
+  workStore.set('links', destId, links)
+}
+
+/** Map of source rubric id → copy id for copies in destId made from sourceId */
+function linksBetween (sourceId, destId) {
+  const out = new Map()
+  for (const [copyId, link] of Object.entries(readLinks(destId))) {
+    if (link.sourceId === sourceId) out.set(link.rubricId, copyId)
+  }
+  return out
+}
+
+module.exports = { recordLink, linksBetween }
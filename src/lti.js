@@ -7,39 +7,43 @@
  *      → we redirect to BB's auth endpoint
  *   3. Blackboard POSTs signed JWT to /launch
  *      → we verify it, extract courseId, set cookie, redirect to /ui/home
+ *
+ * /login looks the registration up by issuer, client_id and deployment_id
+ * (see platforms.js), so one deployment can serve several Learn sites.
+ * It binds the request to the browser with a signed, short-lived state
+ * cookie holding the nonce and that registration; /launch accepts only an
+ * id_token that comes back with the same state, then checks every required
+ * LTI 1.3 core claim against the registration. Nonces are single-use across
+ * restarts and instances (see replay.js).
  */
 
 const express = require('express')
 const router = express.Router()
-const https = require('https')
-const http = require('http')
 const crypto = require('crypto')
 const jwt = require('jsonwebtoken')
-const { getRegistration } = require('./registration')
+const { findRegistration, getRegistration } = require('./platforms')
+const { page, esc } = require('./routes/html')
+const { getPlatformKey, UnknownKeyError } = require('./jwksCache')
+const { getReplayStore } = require('./replay')
+const { COOKIE_OPTS, startOAuth } = require('./oauth')
 
 const COOKIE_SECRET = process.env.LTI_COOKIE_SECRET || 'change-me-in-production'
+const APP_URL = (process.env.APP_URL || '').replace(/\/$/, '')
 
-// ── helpers ──────────────────────────────────────────────────────────────────
+// Blackboard SaaS always uses the developer portal as the OIDC auth endpoint,
+// regardless of which BB instance the tool is deployed on. LTI_AUTH_URL, or
+// auth_url on a registration, overrides it (the sandbox points it at its fake
+// platform).
+const OIDC_AUTH_URL = process.env.LTI_AUTH_URL || 'https://developer.blackboard.com/api/v1/gateway/oidcauth'
 
-/** Fetch BB's public JWKS and return the PEM for the matching kid */
-function fetchPublicKey (jwksUrl, kid) {
-  return new Promise((resolve, reject) => {
-    const lib = jwksUrl.startsWith('https') ? https : http
-    lib.get(jwksUrl, (res) => {
-      let data = ''
-      res.on('data', c => { data += c })
-      res.on('end', () => {
-        try {
-          const { keys } = JSON.parse(data)
-          const key = keys.find(k => k.kid === kid) || keys[0]
-          if (!key) return reject(new Error('No matching JWK found'))
-          const pubKey = crypto.createPublicKey({ key, format: 'jwk' })
-          resolve(pubKey.export({ type: 'spki', format: 'pem' }))
-        } catch (e) { reject(e) }
-      })
-    }).on('error', reject)
-  })
-}
+const CLAIM = 'https://purl.imsglobal.org/spec/lti/claim/'
+const STATE_TTL_MS = 10 * 60 * 1000
+// Launch types this tool handles — it has no deep linking support
+const MESSAGE_TYPES = ['LtiResourceLinkRequest']
+// Leeway for clock drift between Learn and us when checking iat/exp
+const CLOCK_TOLERANCE_S = 60
+
+// ── helpers ──────────────────────────────────────────────────────────────────
 
 /** Sign a cookie value so it can't be tampered with */
 function signCookie (data, secret) {
@@ -51,18 +55,60 @@ function signCookie (data, secret) {
 function verifyCookie (cookie, secret) {
   if (!cookie) return null
   const [payload, sig] = cookie.split('.')
+  if (!payload || !sig) return null
   const expected = crypto.createHmac('sha256', secret).update(payload).digest('base64url')
   if (sig !== expected) return null
-  try { return JSON.parse(Buffer.from(payload, 'base64url').toString()) }
-  catch { return null }
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString())
+    if (data.exp && data.exp < Date.now()) return null
+    return data
+  } catch { return null }
+}
+
+// One cookie per login, so launches started in two tabs don't clobber each other
+const stateCookie = (state) => `lti_state_${state}`
+
+// ── Launch errors ─────────────────────────────────────────────────────────────
+
+// code → [HTTP status, page title, what the user can do about it]
+const LAUNCH_ERRORS = {
+  not_registered: [400, 'Tool not registered', 'This Blackboard site isn\'t registered with Rubric Transfer. Ask your Blackboard administrator to complete the tool\'s registration.'],
+  missing_login_hint: [400, 'Launch request incomplete', 'Blackboard didn\'t say who is launching the tool (login_hint is missing). Launch the tool again from your course.'],
+  missing_token: [400, 'Launch request incomplete', 'Blackboard didn\'t send a launch token. Launch the tool again from your course.'],
+  missing_state: [400, 'Launch session not found', 'Your browser didn\'t send back the cookie set when the launch started. Cookies may be blocked for this site, or the launch took longer than 10 minutes. Allow cookies and launch again.'],
+  invalid_token: [400, 'Launch token rejected', 'The launch token from Blackboard couldn\'t be verified. Launch the tool again; if it keeps happening, tell your administrator.'],
+  token_expired: [400, 'Launch token expired', 'The launch token from Blackboard has expired. Launch the tool again from your course.'],
+  unknown_key: [400, 'Launch token signed with an unknown key', 'Blackboard signed the launch with a key it doesn\'t publish. Launch again; if it keeps happening, tell your administrator.'],
+  jwks_unavailable: [503, 'Can\'t reach Blackboard', 'The tool couldn\'t fetch Blackboard\'s signing keys to check the launch. Try again in a minute.'],
+  wrong_issuer: [400, 'Launch from an unexpected platform', 'The launch token wasn\'t issued by the platform this sign-in started with. Launch the tool again from your course.'],
+  wrong_audience: [400, 'Launch meant for another tool', 'The launch token was issued for a different tool registration. Tell your administrator.'],
+  wrong_deployment: [400, 'Deployment not recognised', 'This placement of the tool isn\'t one this registration knows about. Ask your administrator to add its deployment ID.'],
+  wrong_version: [400, 'Unsupported LTI version', 'The launch isn\'t LTI 1.3. Ask your administrator to check the tool\'s placement.'],
+  unsupported_message: [400, 'Unsupported launch type', 'Rubric Transfer only supports being opened as a course tool. Launch it from the course\'s Books & Tools or Course Management menu.'],
+  missing_claim: [400, 'Launch token incomplete', 'The launch token is missing information the tool needs. Tell your administrator.'],
+  nonce_mismatch: [400, 'Launch could not be verified', 'The launch token doesn\'t belong to the sign-in this browser started. Launch the tool again from your course.'],
+  replayed: [400, 'Launch already used', 'This launch has already been used once. Launch the tool again from your course.'],
+  not_instructor: [403, 'Access denied', 'This tool is only available to instructors.']
 }
 
-// In-memory nonce store (replay protection) — fine for single instance
-const nonces = new Map()
-setInterval(() => {
-  const cutoff = Date.now() - 5 * 60 * 1000
-  for (const [k, v] of nonces) if (v < cutoff) nonces.delete(k)
-}, 60_000)
+class LaunchError extends Error {
+  constructor (code, detail) {
+    super(`${code}${detail ? `: ${detail}` : ''}`)
+    this.name = 'LaunchError'
+    this.code = code
+    this.detail = detail || ''
+  }
+}
+
+function sendLaunchError (res, err) {
+  const [status, title, hint] = LAUNCH_ERRORS[err.code]
+  console.warn('[LTI] launch rejected —', err.message)
+  res.status(status).send(page(title, `<div class="card">
+    <h2>${esc(title)}</h2>
+    <p>${esc(hint)}</p>
+    ${err.detail ? `<p class="muted"><code>${esc(err.detail)}</code></p>` : ''}
+  </div>`))
+}
 
 // ── LTI routes ────────────────────────────────────────────────────────────────
 
@@ -75,13 +121,11 @@ router.get('/login', handleLogin)
 router.post('/login', handleLogin)
 
 function handleLogin (req, res) {
-  const reg = getRegistration()
+  const p = { ...req.query, ...req.body }
+  const reg = findRegistration({ issuer: p.iss, clientId: p.client_id, deploymentId: p.lti_deployment_id })
   if (!reg) {
-    return res.status(500).send(`
-      <h2>Tool not registered</h2>
-      <p>Complete dynamic registration first by visiting 
-      <a href="/registration">/registration</a> from Blackboard's admin panel.</p>
-    `)
+    return sendLaunchError(res, new LaunchError('not_registered',
+      `issuer ${p.iss || '(none)'}, client_id ${p.client_id || '(none)'}, deployment ${p.lti_deployment_id || '(none)'}`))
   }
 
   // Debug — log exactly what BB sends so we can diagnose missing params
@@ -89,26 +133,27 @@ function handleLogin (req, res) {
   console.log('[LTI /login] query:', JSON.stringify(req.query))
   console.log('[LTI /login] body:', JSON.stringify(req.body))
 
-  const p = { ...req.query, ...req.body }
-  const nonce = crypto.randomBytes(16).toString('hex')
-  const state = crypto.randomBytes(16).toString('hex')
-  nonces.set(nonce, Date.now())
-
   // Always use https for redirect_uri — ignore whatever target_link_uri says
-  // (old registrations may have stored http://)
-  const redirectUri = `https://${req.get('host')}/launch`
+  // (old registrations may have stored http://). APP_URL wins when set.
+  const base = APP_URL || `https://${req.get('host')}`
+  const redirectUri = `${base}/launch`
 
   // login_hint may arrive URL-encoded — decode it before forwarding
   const loginHint = p.login_hint ? decodeURIComponent(p.login_hint) : null
 
   if (!loginHint) {
     console.error('[LTI /login] login_hint missing! Full params:', JSON.stringify(p))
-    return res.status(400).send('<h2>LTI Error</h2><p>login_hint missing from OIDC initiation request. Check Render logs.</p>')
+    return sendLaunchError(res, new LaunchError('missing_login_hint'))
   }
 
-  // Blackboard SaaS always uses the developer portal as the OIDC auth endpoint,
-  // regardless of which BB instance the tool is deployed on.
-  const authUrl = new URL('https://developer.blackboard.com/api/v1/gateway/oidcauth')
+  const nonce = crypto.randomBytes(16).toString('hex')
+  const state = crypto.randomBytes(16).toString('hex')
+  res.cookie(stateCookie(state), signCookie({ nonce, reg: reg.id, iss: p.iss || null, exp: Date.now() + STATE_TTL_MS }, COOKIE_SECRET), {
+    ...COOKIE_OPTS,
+    maxAge: STATE_TTL_MS
+  })
+
+  const authUrl = new URL(reg.auth_url || OIDC_AUTH_URL)
   authUrl.searchParams.set('response_type', 'id_token')
   authUrl.searchParams.set('response_mode', 'form_post')
   authUrl.searchParams.set('scope', 'openid')
@@ -124,52 +169,106 @@ function handleLogin (req, res) {
   console.log('[LTI /login] redirecting to:', authUrlStr)
 
   // Must break out of Blackboard's iframe — developer.blackboard.com blocks
-  // frame-ancestors. Use window.top to navigate the whole browser window.
+  // frame-ancestors. Inside the iframe the state cookie above is a
+  // third-party cookie the browser may drop, so a framed page reloads /login
+  // in the top window, where the cookie is first-party, instead of going
+  // straight to the auth endpoint.
+  const relogin = new URL(`${base}/login`)
+  for (const k of ['iss', 'login_hint', 'target_link_uri', 'lti_message_hint', 'client_id', 'lti_deployment_id']) {
+    if (p[k]) relogin.searchParams.set(k, p[k])
+  }
   res.send(
     '<!DOCTYPE html><html><head><meta charset="utf-8"></head><body>' +
     '<script>' +
     'var u=' + JSON.stringify(authUrlStr) + ';' +
-    'if(window.top!==window.self){window.top.location.href=u;}' +
+    'if(window.top!==window.self){window.top.location.href=' + JSON.stringify(relogin.toString()) + ';}' +
     'else{window.location.href=u;}' +
     '</' + 'script>' +
     '</body></html>'
   )
 }
 
+/** The aud claim must name our client_id; with several audiences, azp must too */
+function checkAudience (claims, clientId) {
+  const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud]
+  if (!aud.includes(clientId)) throw new LaunchError('wrong_audience', `aud ${aud.join(', ')}`)
+  if (aud.length > 1 && claims.azp !== clientId) throw new LaunchError('wrong_audience', `azp ${claims.azp || '(none)'}`)
+}
+
+/** Required LTI 1.3 core claims for a resource link launch */
+function checkLtiClaims (claims, reg) {
+  const version = claims[`${CLAIM}version`]
+  if (version !== '1.3.0') throw new LaunchError('wrong_version', `version ${version || '(none)'}`)
+
+  const type = claims[`${CLAIM}message_type`]
+  if (!MESSAGE_TYPES.includes(type)) throw new LaunchError('unsupported_message', `message_type ${type || '(none)'}`)
+
+  const deploymentId = claims[`${CLAIM}deployment_id`]
+  if (!deploymentId) throw new LaunchError('missing_claim', 'deployment_id')
+  if (reg.deployment_ids.length && !reg.deployment_ids.includes(deploymentId)) {
+    throw new LaunchError('wrong_deployment', `deployment_id ${deploymentId}`)
+  }
+
+  if (!claims.sub) throw new LaunchError('missing_claim', 'sub')
+  if (!Array.isArray(claims[`${CLAIM}roles`])) throw new LaunchError('missing_claim', 'roles')
+  if (!claims[`${CLAIM}resource_link`]?.id) throw new LaunchError('missing_claim', 'resource_link.id')
+}
+
 /**
  * Step 2 — LTI Launch
  * Blackboard POSTs the signed id_token here.
  * We verify it and extract the course context.
  */
 router.post('/launch', async (req, res) => {
-  const reg = getRegistration()
-  if (!reg) {
-    return res.status(500).send('Tool not registered — complete dynamic registration first.')
-  }
+  try {
+    const { id_token: idToken, state } = req.body
+    if (!idToken) throw new LaunchError('missing_token')
 
-  const idToken = req.body.id_token
-  if (!idToken) return res.status(400).send('Missing id_token')
+    // State binding — the cookie set by this browser's /login, carrying the
+    // nonce and the registration it chose
+    if (!/^[a-f0-9]{32}$/.test(state || '')) throw new LaunchError('missing_state', 'no state returned')
+    const saved = verifyCookie(req.cookies?.[stateCookie(state)], COOKIE_SECRET)
+    res.clearCookie(stateCookie(state), COOKIE_OPTS)
+    if (!saved) throw new LaunchError('missing_state')
 
-  try {
-    // Decode header to get kid, fetch matching public key from BB's JWKS
-    const headerB64 = idToken.split('.')[0]
-    const header = JSON.parse(Buffer.from(headerB64, 'base64url').toString())
-    const publicKey = await fetchPublicKey(reg.platform_jwks_url, header.kid)
-
-    // Verify signature + standard claims
-    const claims = jwt.verify(idToken, publicKey, {
-      algorithms: ['RS256'],
-      audience: reg.client_id
-    })
-
-    // Validate nonce (replay attack protection)
-    if (!nonces.has(claims.nonce)) {
-      return res.status(400).send('Invalid or expired nonce — please try launching again.')
+    const reg = getRegistration(saved.reg)
+    if (!reg) throw new LaunchError('not_registered', 'the registration was removed during the launch')
+
+    const decoded = jwt.decode(idToken, { complete: true })
+    if (!decoded) throw new LaunchError('invalid_token', 'not a JWT')
+
+    // Cached key for the token's kid — no network round trip unless the
+    // cache is stale or the kid is new
+    let publicKey
+    try {
+      publicKey = await getPlatformKey(reg.platform_jwks_url, decoded.header.kid)
+    } catch (err) {
+      throw err instanceof UnknownKeyError
+        ? new LaunchError('unknown_key', err.message)
+        : new LaunchError('jwks_unavailable', err.message)
     }
-    nonces.delete(claims.nonce)
+
+    // Signature, alg and iat/exp; iss and aud are checked below so each
+    // gets its own error
+    let claims
+    try {
+      claims = jwt.verify(idToken, publicKey, { algorithms: ['RS256'], clockTolerance: CLOCK_TOLERANCE_S })
+    } catch (err) {
+      throw new LaunchError(err.name === 'TokenExpiredError' ? 'token_expired' : 'invalid_token', err.message)
+    }
+
+    const issuer = reg.issuer || saved.iss
+    if (!claims.iss || (issuer && claims.iss !== issuer)) throw new LaunchError('wrong_issuer', `iss ${claims.iss || '(none)'}`)
+    checkAudience(claims, reg.client_id)
+    checkLtiClaims(claims, reg)
+
+    // Nonce — must be the one this browser's /login sent, and unused
+    if (claims.nonce !== saved.nonce) throw new LaunchError('nonce_mismatch')
+    const expiresAt = Math.max((claims.exp || 0) * 1000, Date.now()) + CLOCK_TOLERANCE_S * 1000
+    if (!await getReplayStore().claim(claims.nonce, expiresAt)) throw new LaunchError('replayed')
 
     // Enforce instructor-only access — belt-and-suspenders beyond the placement type
-    const roles = claims['https://purl.imsglobal.org/spec/lti/claim/roles'] || []
+    const roles = claims[`${CLAIM}roles`]
     const INSTRUCTOR_ROLES = [
       'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
       'http://purl.imsglobal.org/vocab/lis/v2/membership#ContentDeveloper',
@@ -177,28 +276,25 @@ router.post('/launch', async (req, res) => {
       'http://purl.imsglobal.org/vocab/lis/v2/system/person#Administrator'
     ]
     const isInstructor = roles.some(r => INSTRUCTOR_ROLES.includes(r))
-    if (!isInstructor) {
-      return res.status(403).send('<h2>Access denied</h2><p>This tool is only available to instructors.</p>')
-    }
+    if (!isInstructor) throw new LaunchError('not_instructor')
 
     // Extract course context from LTI claims
-    const context = claims['https://purl.imsglobal.org/spec/lti/claim/context']
+    const context = claims[`${CLAIM}context`]
     const courseId = context?.id || ''
 
     // Extract one_time_session_token — lets BB silently authorize without consent screen
     const oneTimeToken = claims['https://blackboard.com/lti/claim/one_time_session_token'] || ''
 
     // Kick off 3LO — one_time_session_token means instructor won't see a consent screen
-    const oauthParams = new URLSearchParams({ courseId })
-    if (oneTimeToken) oauthParams.set('one_time_session_token', oneTimeToken)
-    return res.redirect(`/oauth/start?${oauthParams.toString()}`)
+    return startOAuth(res, { reg: reg.id, courseId, oneTimeToken })
   } catch (err) {
+    if (err instanceof LaunchError) return sendLaunchError(res, err)
     console.error('[LTI] launch error:', err.message)
-    return res.status(400).send(`
+    return res.status(500).send(page('LTI Launch Failed', `<div class="card">
       <h2>LTI Launch Failed</h2>
-      <pre>${err.message}</pre>
+      <pre>${esc(err.message)}</pre>
       <p>Check Render logs for details.</p>
-    `)
+    </div>`))
   }
 })
 
@@ -6,16 +6,22 @@
  * instructor is already logged into Blackboard when they click the LTI tool.
  *
  * Flow:
- *   1. LTI launch extracts one_time_session_token from JWT claims
+ *   1. LTI launch extracts one_time_session_token from JWT claims and hands
+ *      it, with the registration, to /oauth/start in a signed cookie
  *   2. /oauth/start redirects to BB's authorizationcode endpoint with the token
  *   3. BB silently authorizes (no consent screen) and redirects to /oauth/callback
  *   4. App exchanges code for access+refresh tokens, stores in signed cookie
  *   5. All API calls run as the instructor — BB enforces their course permissions
  *
+ * The Learn site is the one the user launched from, and must be one the
+ * operator configured (see trustedPlatforms in platforms.js); its URL
+ * rides along in the state and session cookies so token calls and every REST
+ * call go back to the same site. It is never taken from the URL.
+ *
  * Required env vars:
  *   BB_KEY            - Application ID from Blackboard developer portal
  *   BB_SECRET         - Application secret
- *   LTI_PLATFORM_URL  - e.g. https://nahe.blackboard.com
+ *   LTI_PLATFORM_URL  - e.g. https://nahe.blackboard.com (when ?reg= is absent)
  *   LTI_COOKIE_SECRET - for signing session cookies
  *   APP_URL           - e.g. https://bb-rubric-transfer.onrender.com
  */
@@ -24,6 +30,9 @@ const express = require('express')
 const router = express.Router()
 const crypto = require('crypto')
 const axios = require('axios')
+const { platformUrl } = require('./platforms')
+const { usePlatform } = require('./rest/bbClient')
+const { page, esc } = require('./routes/html')
 
 const BB_BASE       = process.env.LTI_PLATFORM_URL
 const BB_KEY        = process.env.BB_KEY
@@ -32,6 +41,12 @@ const COOKIE_SECRET = process.env.LTI_COOKIE_SECRET || 'change-me'
 const APP_URL       = (process.env.APP_URL || '').replace(/\/$/, '')
 const REDIRECT_URI  = `${APP_URL}/oauth/callback`
 
+// Learn embeds the tool in an iframe, so cookies must be SameSite=None. The
+// sandbox runs on plain http://localhost, where browsers drop those.
+const COOKIE_OPTS = process.env.SANDBOX
+  ? { httpOnly: true, sameSite: 'Lax' }
+  : { httpOnly: true, secure: process.env.NODE_ENV === 'production', sameSite: 'None' }
+
 // ── Cookie helpers ────────────────────────────────────────────────────────────
 
 function signCookie (data) {
@@ -54,40 +69,62 @@ function verifyCookie (cookie) {
 }
 
 function setCookie (res, data) {
-  res.cookie('lti_session', signCookie(data), {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'None',  // required for Blackboard iframe embedding
-    maxAge: 8 * 3600_000
-  })
+  res.cookie('lti_session', signCookie(data), { ...COOKIE_OPTS, maxAge: 8 * 3600_000 })
 }
 
 // OAuth state stored in a short-lived signed cookie (survives across server restarts)
 // rather than in-memory (which breaks on Render when instances restart between requests)
 
+const LAUNCH_TTL_MS = 10 * 60 * 1000
+
 // ── Step 1: Start OAuth ───────────────────────────────────────────────────────
 
 /**
- * GET /oauth/start?courseId=_123_1&one_time_session_token=...
- * Called after LTI launch. Redirects to BB's authorization endpoint.
+ * End of a verified launch (lti.js): hand the registration, course and
+ * one_time_session_token to /oauth/start in a short-lived signed cookie.
+ * Only a launch can set it, so the site OAuth talks to can't be picked by
+ * whoever writes the URL.
+ */
+function startOAuth (res, { reg, courseId, oneTimeToken }) {
+  res.cookie('lti_launch', signCookie({
+    kind: 'launch', reg, courseId, one_time_session_token: oneTimeToken || null, exp: Date.now() + LAUNCH_TTL_MS
+  }), { ...COOKIE_OPTS, maxAge: LAUNCH_TTL_MS })
+  res.redirect('/oauth/start')
+}
+
+/**
+ * GET /oauth/start
+ * Called after LTI launch (see startOAuth), or with ?courseId= when a
+ * session has expired. Redirects to BB's authorization endpoint.
  * The one_time_session_token bypasses the consent screen — instructor is
  * already logged in so BB silently authorizes them.
  */
 router.get('/oauth/start', (req, res) => {
-  const { courseId, one_time_session_token } = req.query
+  const cookie = verifyCookie(req.cookies?.lti_launch)
+  const launch = cookie?.kind === 'launch' ? cookie : null
+  res.clearCookie('lti_launch', COOKIE_OPTS)
+
+  // Without a launch (an expired session) only a deployment with one site can carry on
+  const courseId = launch ? launch.courseId : String(req.query.courseId || '')
+  const platform = platformUrl(launch?.reg)
+  if (!platform) {
+    return res.status(400).send(page('Launch again', `<div class="card">
+      <h2>Unknown Blackboard site</h2>
+      <p>Please launch the tool again from your course.</p>
+    </div>`))
+  }
+  const oneTimeToken = launch?.one_time_session_token
 
   const state = crypto.randomBytes(16).toString('hex')
 
   // Store state in a short-lived signed cookie — survives server restarts
   // unlike in-memory Maps which are wiped when Render spins up a new instance
-  res.cookie('oauth_state', signCookie({ state, courseId, ts: Date.now() }), {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'None',
+  res.cookie('oauth_state', signCookie({ state, courseId, platform, ts: Date.now() }), {
+    ...COOKIE_OPTS,
     maxAge: 10 * 60 * 1000  // 10 minutes
   })
 
-  const authUrl = new URL(`${BB_BASE}/learn/api/public/v1/oauth2/authorizationcode`)
+  const authUrl = new URL(`${platform}/learn/api/public/v1/oauth2/authorizationcode`)
   authUrl.searchParams.set('response_type', 'code')
   authUrl.searchParams.set('client_id', BB_KEY)
   authUrl.searchParams.set('redirect_uri', REDIRECT_URI)
@@ -95,8 +132,8 @@ router.get('/oauth/start', (req, res) => {
   authUrl.searchParams.set('state', state)
 
   // Pass the one_time_session_token so BB skips the consent screen
-  if (one_time_session_token) {
-    authUrl.searchParams.set('one_time_session_token', one_time_session_token)
+  if (oneTimeToken) {
+    authUrl.searchParams.set('one_time_session_token', oneTimeToken)
   }
 
   res.redirect(authUrl.toString())
@@ -112,7 +149,7 @@ router.get('/oauth/callback', async (req, res) => {
   const { code, state, error } = req.query
 
   if (error) {
-    return res.status(400).send(`<h2>Authorization declined</h2><p>${error}</p>`)
+    return res.status(400).send(`<h2>Authorization declined</h2><p>${esc(error)}</p>`)
   }
 
   // Recover state from cookie instead of in-memory map
@@ -122,11 +159,12 @@ router.get('/oauth/callback', async (req, res) => {
   }
   const saved = savedCookie
   // Clear the state cookie
-  res.clearCookie('oauth_state', { sameSite: 'None', secure: true })
+  res.clearCookie('oauth_state', process.env.SANDBOX ? COOKIE_OPTS : { sameSite: 'None', secure: true })
 
+  const platform = saved.platform || BB_BASE
   try {
     const resp = await axios.post(
-      `${BB_BASE}/learn/api/public/v1/oauth2/token`,
+      `${platform}/learn/api/public/v1/oauth2/token`,
       new URLSearchParams({
         grant_type: 'authorization_code',
         code,
@@ -135,10 +173,12 @@ router.get('/oauth/callback', async (req, res) => {
       { auth: { username: BB_KEY, password: BB_SECRET } }
     )
 
-    const { access_token, refresh_token, expires_in } = resp.data
+    const { access_token, refresh_token, expires_in, user_id } = resp.data
 
     setCookie(res, {
       courseId: saved.courseId,
+      platform,
+      userId: user_id,
       access_token,
       refresh_token,
       token_exp: Date.now() + (expires_in - 60) * 1000,
@@ -149,7 +189,7 @@ router.get('/oauth/callback', async (req, res) => {
   } catch (err) {
     const detail = err.response?.data ? JSON.stringify(err.response.data) : err.message
     console.error('[OAuth] token exchange failed:', detail)
-    return res.status(500).send(`<h2>OAuth token exchange failed</h2><pre>${detail}</pre>`)
+    return res.status(500).send(`<h2>OAuth token exchange failed</h2><pre>${esc(detail)}</pre>`)
   }
 })
 
@@ -163,9 +203,12 @@ async function getTokenFromCookie (cookieValue, res) {
   const session = verifyCookie(cookieValue)
   if (!session?.access_token) return null
 
+  const platform = session.platform || BB_BASE
+
   // Token still valid
   if (session.token_exp > Date.now()) {
-    return { token: session.access_token }
+    usePlatform(session.access_token, platform)
+    return { token: session.access_token, userId: session.userId, platform }
   }
 
   // Token expired — try silent refresh
@@ -173,7 +216,7 @@ async function getTokenFromCookie (cookieValue, res) {
 
   try {
     const resp = await axios.post(
-      `${BB_BASE}/learn/api/public/v1/oauth2/token`,
+      `${platform}/learn/api/public/v1/oauth2/token`,
       new URLSearchParams({
         grant_type: 'refresh_token',
         refresh_token: session.refresh_token
@@ -190,15 +233,19 @@ async function getTokenFromCookie (cookieValue, res) {
     }
 
     if (res) setCookie(res, updated)
-    return { token: access_token }
+    usePlatform(access_token, platform)
+    return { token: access_token, userId: session.userId, platform }
   } catch (err) {
     console.error('[OAuth] refresh failed:', err.response?.data || err.message)
     return null
   }
 }
 
+router.signCookie = signCookie
 router.verifyCookie = verifyCookie
 router.setCookie = setCookie
 router.getTokenFromCookie = getTokenFromCookie
+router.COOKIE_OPTS = COOKIE_OPTS
+router.startOAuth = startOAuth
 
 module.exports = router
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * Learn sites and the tool's registrations with them, and the REST
+ * application's own (client credentials) token for each site.
+ *
+ * Registrations come from the environment and from ./storage (saved by
+ * /registration, see registration.js). Only the sites the operator
+ * configured are trusted with the REST key and secret — trustedPlatforms().
+ *
+ * Nothing here runs at load time, so scripts/transfer.js can use it without
+ * touching the tool's keys.
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const axios = require('axios')
+const { store } = require('./storage')
+const { usePlatform } = require('./rest/bbClient')
+
+const BB_KEY    = process.env.BB_KEY
+const BB_SECRET = process.env.BB_SECRET
+
+// Written to /tmp by earlier versions — read once and copied into storage
+const LEGACY_REG_FILES = [path.join('/tmp', 'lti_registrations.json'), path.join('/tmp', 'lti_registration.json')]
+
+function readLegacy (file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')) }
+  catch { return null }
+}
+
+// ── Registrations ─────────────────────────────────────────────────────────────
+
+/**
+ * Every known registration:
+ *   { id, issuer, client_id, deployment_ids, platform_url, platform_jwks_url, ... }
+ * A missing issuer or empty deployment_ids matches any value.
+ *
+ * Sources, in order: LTI_REGISTRATIONS (a JSON array), the single
+ * LTI_ISSUER / LTI_CLIENT_ID / LTI_DEPLOYMENT_ID / LTI_PLATFORM_URL set, then
+ * registrations saved by /registration.
+ */
+function listRegistrations () {
+  const regs = []
+  if (process.env.LTI_REGISTRATIONS) {
+    try { regs.push(...JSON.parse(process.env.LTI_REGISTRATIONS)) }
+    catch (e) { console.error('[LTI] LTI_REGISTRATIONS is not valid JSON:', e.message) }
+  }
+  if (process.env.LTI_CLIENT_ID && process.env.LTI_PLATFORM_URL) {
+    regs.push({
+      issuer: process.env.LTI_ISSUER || null,
+      client_id: process.env.LTI_CLIENT_ID,
+      deployment_ids: (process.env.LTI_DEPLOYMENT_ID || '').split(',').map(s => s.trim()).filter(Boolean),
+      platform_url: process.env.LTI_PLATFORM_URL,
+      platform_jwks_url: process.env.LTI_JWKS_URL
+    })
+  }
+  regs.push(...readSaved())
+  return regs.map(normalise)
+}
+
+const trimUrl = (url) => String(url || '').trim().replace(/\/$/, '')
+
+/**
+ * Learn sites the tool may send its REST key and secret to — only what the
+ * operator configured: LTI_PLATFORM_URL, each LTI_REGISTRATIONS entry and
+ * LTI_PLATFORM_URLS (comma separated, for saved or imported registrations of
+ * other sites). A registration pointing anywhere else can't be used for
+ * OAuth or REST calls.
+ */
+function trustedPlatforms () {
+  const urls = [process.env.LTI_PLATFORM_URL, ...String(process.env.LTI_PLATFORM_URLS || '').split(',')]
+  if (process.env.LTI_REGISTRATIONS) {
+    try { urls.push(...JSON.parse(process.env.LTI_REGISTRATIONS).map(r => r.platform_url)) }
+    catch {} // reported by listRegistrations
+  }
+  return new Set(urls.map(trimUrl).filter(Boolean))
+}
+
+const isTrustedPlatform = (url) => !!url && trustedPlatforms().has(trimUrl(url))
+
+/** Registrations saved by /registration (or imported), oldest first */
+function readSaved () {
+  const saved = store.list('registrations').map(r => r.value)
+  if (saved.length) return saved.sort((a, b) => String(a.registered_at).localeCompare(String(b.registered_at)))
+  for (const file of LEGACY_REG_FILES) {
+    const legacy = readLegacy(file)
+    if (legacy) return Array.isArray(legacy) ? legacy : [legacy]
+  }
+  return []
+}
+
+function normalise (reg) {
+  const platformUrl = trimUrl(reg.platform_url)
+  const out = {
+    ...reg,
+    issuer: reg.issuer || null,
+    deployment_ids: reg.deployment_ids || (reg.deployment_id ? [reg.deployment_id] : []),
+    platform_url: platformUrl,
+    platform_jwks_url: reg.platform_jwks_url || `${platformUrl}/learn/api/public/v1/lti/tools/jwks`
+  }
+  out.id = crypto.createHash('sha256')
+    .update([out.issuer, out.client_id, out.deployment_ids.join(','), platformUrl].join('|'))
+    .digest('hex').slice(0, 12)
+  return out
+}
+
+/**
+ * Add or replace (same issuer, client_id, deployments and site) a saved
+ * registration. Registrations still only in the legacy /tmp files are
+ * copied over first so they aren't lost.
+ */
+function saveRegistration (reg) {
+  const saved = normalise(reg)
+  if (!store.list('registrations').length) {
+    for (const old of readSaved().map(normalise)) store.set('registrations', old.id, old)
+  }
+  store.set('registrations', saved.id, saved)
+  return saved
+}
+
+/**
+ * The registration for a login or launch. Any of issuer, clientId and
+ * deploymentId may be missing (older login requests omit some); an exact
+ * deployment match beats a registration that accepts any deployment.
+ * Returns null when nothing matches or the match is ambiguous.
+ */
+function findRegistration ({ issuer, clientId, deploymentId } = {}) {
+  const matches = listRegistrations().filter(r =>
+    (!r.issuer || !issuer || r.issuer === issuer) &&
+    (!clientId || r.client_id === clientId) &&
+    (!deploymentId || !r.deployment_ids.length || r.deployment_ids.includes(deploymentId)))
+  const exact = matches.filter(r => deploymentId && r.deployment_ids.includes(deploymentId))
+  const pick = exact.length ? exact : matches
+  const sites = new Set(pick.map(r => r.platform_url))
+  return sites.size === 1 ? pick[0] : null
+}
+
+/** A registration by its id — null if it has since been removed */
+function getRegistration (id) {
+  return listRegistrations().find(r => r.id === id) || null
+}
+
+/**
+ * Learn site to authorize against: the launch's registration, else the only
+ * site this deployment knows. null when that can't be decided, or when the
+ * registration points at a site the operator hasn't configured.
+ */
+function platformUrl (regId) {
+  if (regId) {
+    const url = getRegistration(regId)?.platform_url || null
+    if (url && !isTrustedPlatform(url)) {
+      console.warn(`[Platforms] registration ${regId} points at ${url}, which is not a configured Learn site — add it to LTI_PLATFORM_URLS if it is yours`)
+      return null
+    }
+    return url
+  }
+  const sites = trustedPlatforms()
+  return sites.size === 1 ? [...sites][0] : null
+}
+
+// ── Application token ─────────────────────────────────────────────────────────
+
+// platform → { token, exp } — client-credentials tokens, shared by every caller
+const appTokens = new Map()
+
+/**
+ * A 2-legged (client credentials) access token for the platform, acting as
+ * the REST application's own Learn user rather than an instructor. For
+ * callers with no 3LO session: API tokens and the command line.
+ */
+async function getAppToken (platform = process.env.LTI_PLATFORM_URL) {
+  if (!isTrustedPlatform(platform)) throw new Error(`${platform} is not a configured Learn site`)
+  const cached = appTokens.get(platform)
+  if (cached && cached.exp > Date.now()) return cached.token
+
+  const resp = await axios.post(
+    `${platform}/learn/api/public/v1/oauth2/token`,
+    new URLSearchParams({ grant_type: 'client_credentials' }),
+    { auth: { username: BB_KEY, password: BB_SECRET } }
+  )
+  const { access_token, expires_in } = resp.data
+  appTokens.set(platform, { token: access_token, exp: Date.now() + (expires_in - 60) * 1000 })
+  usePlatform(access_token, platform)
+  return access_token
+}
+
+module.exports = {
+  listRegistrations,
+  saveRegistration,
+  findRegistration,
+  getRegistration,
+  trustedPlatforms,
+  isTrustedPlatform,
+  platformUrl,
+  getAppToken
+}
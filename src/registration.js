@@ -2,61 +2,39 @@
  * LTI Advantage Dynamic Registration + JWKS endpoint
  *
  * Blackboard requires a jwks_uri in the registration document.
- * We generate an RSA keypair on first boot and expose the public key at /jwks.
- * The keypair is persisted to /tmp (survives restarts on paid Render plans;
- * on free/starter it resets on redeploy — that's fine, just re-register).
+ * We generate a key set on first boot (see keys.js) and publish it at /jwks.
+ * The keys and saved registrations live in ./storage — pick a durable
+ * backend (or STORAGE=env) so a redeploy doesn't force a re-registration.
  *
  * Tool Initiation URL to give the BB admin:
  *   https://your-app.onrender.com/registration
+ *
+ * One deployment of the tool can serve several Learn sites (test, staging,
+ * production). Each registration is keyed by issuer, client_id and
+ * deployment_id, and carries the REST base URL of its site — see
+ * findRegistration() in platforms.js. Blackboard SaaS uses the same issuer
+ * for every site, so the deployment_id is usually what tells them apart.
+ *
+ * /registration is open to anyone, so nothing it is sent decides where the
+ * tool's REST key and secret go: a dynamic registration is always for
+ * LTI_PLATFORM_URL, and OAuth and REST calls only go to the sites the
+ * operator configured (trustedPlatforms() in platforms.js).
  */
 
 const express = require('express')
 const router = express.Router()
 const https = require('https')
 const http = require('http')
-const crypto = require('crypto')
-const fs = require('fs')
-const path = require('path')
 
 // Use X-Forwarded-Proto if present (Render terminates SSL at the load balancer)
 function getProto (req) {
-  return req.get('x-forwarded-proto') || getProto(req)
+  return req.get('x-forwarded-proto') || req.protocol
 }
 
 
-const KEYS_FILE = path.join('/tmp', 'lti_keypair.json')
-const REG_FILE  = path.join('/tmp', 'lti_registration.json')
-
-// ── Keypair ───────────────────────────────────────────────────────────────────
-
-function loadOrCreateKeypair () {
-  if (fs.existsSync(KEYS_FILE)) {
-    try {
-      const saved = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'))
-      return saved
-    } catch { /* regenerate below */ }
-  }
-
-  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
-    modulusLength: 2048
-  })
-
-  const kid = crypto.randomBytes(8).toString('hex')
-  const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }
-
-  const keypair = {
-    kid,
-    privatePem: privateKey.export({ type: 'pkcs8', format: 'pem' }),
-    publicJwk: jwk
-  }
-
-  fs.writeFileSync(KEYS_FILE, JSON.stringify(keypair, null, 2))
-  console.log('[LTI] Generated new RSA keypair, kid:', kid)
-  return keypair
-}
-
-// Load keypair at module init so /jwks is always ready
-const KEYPAIR = loadOrCreateKeypair()
+const { saveRegistration } = require('./platforms')
+const { publishedKeys } = require('./keys')
+const { esc } = require('./routes/html')
 
 // ── helpers ──────────────────────────────────────────────────────────────────
 
@@ -108,11 +86,13 @@ function httpsPost (url, body, token) {
 
 /**
  * GET /jwks
- * Returns our public key in JWK Set format.
+ * Returns our public keys in JWK Set format — active, next and recently
+ * retired, see keys.js.
  * Blackboard calls this to verify any JWTs we sign (e.g. deep linking responses).
  */
 router.get('/jwks', (req, res) => {
-  res.json({ keys: [KEYPAIR.publicJwk] })
+  res.set('Cache-Control', 'public, max-age=3600')
+  res.json(publishedKeys())
 })
 
 // ── Registration endpoint ─────────────────────────────────────────────────────
@@ -130,13 +110,19 @@ router.get('/registration', async (req, res) => {
       <h2>LTI Dynamic Registration</h2>
       <p>This is the <strong>Tool Initiation URL</strong> for dynamic registration.</p>
       <p>Paste it into Blackboard's LTI Dynamic Registration page — don't open it directly.</p>
-      <p><code>${getProto(req)}://${req.get('host')}/registration</code></p>
+      <p><code>${esc(`${getProto(req)}://${req.get('host')}/registration`)}</code></p>
     `)
   }
 
   const toolUrl = `${getProto(req)}://${req.get('host')}`
 
   try {
+    // The site's REST URL is the operator's, never the caller's — see the top of this file
+    const platformUrl = process.env.LTI_PLATFORM_URL
+    if (!platformUrl) {
+      throw new Error('Set LTI_PLATFORM_URL to this Learn site\'s URL before registering. Registrations for other sites go in LTI_REGISTRATIONS.')
+    }
+
     // Step 1: Fetch Blackboard's OpenID configuration
     console.log('[DynReg] Fetching OpenID config from:', openid_configuration)
     const openidConfig = await httpsGet(openid_configuration)
@@ -199,25 +185,27 @@ router.get('/registration', async (req, res) => {
 
     const reg = result.body
     const clientId = reg.client_id
+    const toolConfig = reg['https://purl.imsglobal.org/spec/lti-tool-configuration'] || {}
 
-    // Step 4: Save registration details
-    const savedReg = {
+    // Step 4: Save registration details. Learn's OpenID config lives on the
+    // developer portal, so it can't tell us the site's own URL.
+    const savedReg = saveRegistration({
+      issuer: openidConfig.issuer || null,
       client_id: clientId,
-      // Prefer LTI_PLATFORM_URL env var — developer.blackboard.com is the registry,
-      // not the actual OIDC server for SaaS instances
-      platform_url: process.env.LTI_PLATFORM_URL || new URL(openid_configuration).origin,
+      deployment_ids: toolConfig.deployment_id ? [toolConfig.deployment_id] : [],
+      platform_url: platformUrl,
       platform_oidc_url: openid_configuration,
       platform_auth_url: openidConfig.authorization_endpoint,
       platform_jwks_url: openidConfig.jwks_uri,
       registered_at: new Date().toISOString()
-    }
-
-    fs.writeFileSync(REG_FILE, JSON.stringify(savedReg, null, 2))
+    })
 
     console.log('\n╔══════════════════════════════════════════════════╗')
     console.log('║         LTI REGISTRATION COMPLETE                ║')
     console.log('╠══════════════════════════════════════════════════╣')
+    console.log(`║  LTI_ISSUER        = ${savedReg.issuer || ''}`)
     console.log(`║  LTI_CLIENT_ID     = ${clientId}`)
+    console.log(`║  LTI_DEPLOYMENT_ID = ${savedReg.deployment_ids.join(',')}`)
     console.log(`║  LTI_PLATFORM_URL  = ${savedReg.platform_url}`)
     console.log(`║  LTI_JWKS_URL      = ${savedReg.platform_jwks_url}`)
     console.log('╚══════════════════════════════════════════════════╝\n')
@@ -241,12 +229,16 @@ router.get('/registration', async (req, res) => {
           <p>BB Rubric Transfer has been registered with Blackboard.</p>
           <h3>Set these in Render → Environment:</h3>
           <div class="env">
-            LTI_CLIENT_ID=${clientId}<br>
-            LTI_PLATFORM_URL=${savedReg.platform_url}<br>
-            LTI_JWKS_URL=${savedReg.platform_jwks_url}
+            LTI_ISSUER=${esc(savedReg.issuer || '')}<br>
+            LTI_CLIENT_ID=${esc(clientId)}<br>
+            LTI_DEPLOYMENT_ID=${esc(savedReg.deployment_ids.join(','))}<br>
+            LTI_PLATFORM_URL=${esc(savedReg.platform_url)}<br>
+            LTI_JWKS_URL=${esc(savedReg.platform_jwks_url)}
           </div>
           <p style="margin-top:16px; color:#64748b; font-size:0.9em">
             After saving the env vars, trigger a manual redeploy in Render.
+            The registration is also saved in the tool's storage; serving more
+            than one Learn site? Add each one to <code>LTI_REGISTRATIONS</code>.
           </p>
         </div>
       </body>
@@ -257,31 +249,10 @@ router.get('/registration', async (req, res) => {
     console.error('[DynReg] Registration error:', err.message)
     res.status(500).send(`
       <h2>Registration Failed</h2>
-      <pre>${err.message}</pre>
+      <pre>${esc(err.message)}</pre>
       <p>Check the Render logs for details.</p>
     `)
   }
 })
 
-// ── Load saved registration ───────────────────────────────────────────────────
-
-function getRegistration () {
-  // Env vars take priority (set these in Render after first registration)
-  if (process.env.LTI_CLIENT_ID && process.env.LTI_PLATFORM_URL) {
-    return {
-      client_id: process.env.LTI_CLIENT_ID,
-      platform_url: process.env.LTI_PLATFORM_URL,
-      platform_jwks_url: process.env.LTI_JWKS_URL ||
-        `${process.env.LTI_PLATFORM_URL}/learn/api/public/v1/lti/tools/jwks`
-    }
-  }
-  // Fall back to file written during registration
-  if (fs.existsSync(REG_FILE)) {
-    try { return JSON.parse(fs.readFileSync(REG_FILE, 'utf8')) }
-    catch { /* fall through */ }
-  }
-  return null
-}
-
-router.getRegistration = getRegistration
 module.exports = router
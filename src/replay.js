@@ -0,0 +1,76 @@
+/**
+ * Nonce replay store for LTI launches. A nonce may be claimed once; a second
+ * claim before it expires means the id_token is being replayed.
+ *
+ * NONCE_STORE picks the backend:
+ *   storage  (default when ./storage is writable) — a "nonces" collection in
+ *            the tool's storage, so nonces survive a restart and are shared
+ *            by every instance using the same directory or database
+ *   memory   this process only
+ *
+ * Anything with `claim(nonce, expiresAt) → Promise<boolean>` can be swapped
+ * in with setReplayStore() — e.g. a Redis SET NX PX wrapper.
+ */
+
+const { store } = require('./storage')
+
+const SWEEP_MS = 10 * 60_000
+
+function createMemoryStore () {
+  const seen = new Map()
+  setInterval(() => {
+    const now = Date.now()
+    for (const [nonce, exp] of seen) if (exp < now) seen.delete(nonce)
+  }, SWEEP_MS).unref()
+
+  return {
+    name: 'memory',
+    async claim (nonce, expiresAt) {
+      const exp = seen.get(nonce)
+      if (exp && exp >= Date.now()) return false
+      seen.set(nonce, expiresAt)
+      return true
+    }
+  }
+}
+
+function createStorageStore () {
+  setInterval(() => {
+    try {
+      const now = Date.now()
+      for (const { key, value } of store.list('nonces')) if (value.exp < now) store.delete('nonces', key)
+    } catch (err) { console.error('[replay] sweep failed:', err.message) }
+  }, SWEEP_MS).unref()
+
+  return {
+    name: `storage (${store.name})`,
+    async claim (nonce, expiresAt) {
+      if (store.add('nonces', nonce, { exp: expiresAt })) return true
+      // Already there — only a replay if it hasn't expired yet
+      const existing = store.get('nonces', nonce)
+      if (existing && existing.exp >= Date.now()) return false
+      store.set('nonces', nonce, { exp: expiresAt })
+      return true
+    }
+  }
+}
+
+function createReplayStore () {
+  const kind = process.env.NONCE_STORE || (store.readOnly ? 'memory' : 'storage')
+  if (kind === 'memory') return createMemoryStore()
+  if (kind === 'storage') return createStorageStore()
+  throw new Error(`Unknown NONCE_STORE "${kind}" — use storage or memory`)
+}
+
+let replayStore = null
+
+function getReplayStore () {
+  if (!replayStore) replayStore = createReplayStore()
+  return replayStore
+}
+
+function setReplayStore (custom) {
+  replayStore = custom
+}
+
+module.exports = { getReplayStore, setReplayStore }
@@ -1,51 +1,89 @@
-const axios = require('axios')
+/**
+ * Learn REST calls used by the tool. Retries, throttling, pagination and
+ * typed errors live in ./request — every function here may throw one of the
+ * errors re-exported below.
+ */
 
-const BB_BASE = process.env.LTI_PLATFORM_URL
+const { request, paginate, usePlatform } = require('./request')
+const errors = require('./errors')
 
-function bbError (err) {
-  const status = err.response?.status
-  const body   = err.response?.data
-  const detail = typeof body === 'object' ? JSON.stringify(body) : body
-  const msg = `BB API ${status || 'network error'}: ${detail || err.message}`
-  console.error('[bbClient]', msg)
-  const wrapped = new Error(msg)
-  wrapped.response = err.response
-  return wrapped
-}
-
-function authHeader (token) {
-  return { headers: { Authorization: `Bearer ${token}` } }
-}
+const rubricsPath = (courseId) => `/learn/api/public/v1/courses/${encodeURIComponent(courseId)}/rubrics`
+const rubricPath = (courseId, rubricId) => `${rubricsPath(courseId)}/${encodeURIComponent(rubricId)}`
 
+/** Every rubric in a course — follows paging.nextPage */
 async function listRubrics (courseId, token) {
-  try {
-    const resp = await axios.get(
-      `${BB_BASE}/learn/api/public/v1/courses/${encodeURIComponent(courseId)}/rubrics`,
-      authHeader(token)
-    )
-    return resp.data
-  } catch (err) { throw bbError(err) }
+  return { results: await paginate(rubricsPath(courseId), token) }
 }
 
 async function getRubric (courseId, rubricId, token) {
-  try {
-    const resp = await axios.get(
-      `${BB_BASE}/learn/api/public/v1/courses/${encodeURIComponent(courseId)}/rubrics/${encodeURIComponent(rubricId)}`,
-      authHeader(token)
-    )
-    return resp.data
-  } catch (err) { throw bbError(err) }
+  return request('get', rubricPath(courseId, rubricId), { token })
 }
 
 async function createRubric (destCourseId, payload, token) {
-  try {
-    const resp = await axios.post(
-      `${BB_BASE}/learn/api/public/v1/courses/${encodeURIComponent(destCourseId)}/rubrics`,
-      payload,
-      authHeader(token)
-    )
-    return resp.data
-  } catch (err) { throw bbError(err) }
+  return request('post', rubricsPath(destCourseId), { token, data: payload })
+}
+
+/** PATCH an existing rubric in place — used to overwrite on title clashes and by sync */
+async function updateRubric (courseId, rubricId, payload, token) {
+  return request('patch', rubricPath(courseId, rubricId), { token, data: payload })
+}
+
+async function deleteRubric (courseId, rubricId, token) {
+  await request('delete', rubricPath(courseId, rubricId), { token })
+}
+
+/** Gradable items (assignments, gradebook columns) a rubric is attached to */
+async function listRubricAssociations (courseId, rubricId, token) {
+  return { results: await paginate(`${rubricPath(courseId, rubricId)}/associations`, token) }
+}
+
+/** Attach a rubric to a gradebook column (and so to its assignment) */
+async function createRubricAssociation (courseId, rubricId, payload, token) {
+  return request('post', `${rubricPath(courseId, rubricId)}/associations`, { token, data: payload })
+}
+
+// ── Gradebook ─────────────────────────────────────────────────────────────────
+
+/** Every gradebook column in a course — follows paging.nextPage */
+async function listGradebookColumns (courseId, token) {
+  return paginate(`/learn/api/public/v2/courses/${encodeURIComponent(courseId)}/gradebook/columns?limit=200`, token)
+}
+
+// ── Courses & memberships ─────────────────────────────────────────────────────
+
+/**
+ * Fetch a single course. courseId may be a primary key (_123_1) or any of
+ * Learn's prefixed identifiers: courseId:, externalId:, uuid:
+ */
+async function getCourse (courseId, token) {
+  return request('get', `/learn/api/public/v3/courses/${encodeURIComponent(courseId)}`, { token })
 }
 
-module.exports = { listRubrics, getRubric, createRubric }
+/** The user the token belongs to */
+async function getCurrentUser (token) {
+  return request('get', '/learn/api/public/v1/users/me', { token })
+}
+
+/**
+ * All course memberships for a user, with the course expanded.
+ * Follows paging.nextPage — instructors with many terms easily exceed one page.
+ */
+async function listUserCourses (userId, token) {
+  return paginate(`/learn/api/public/v1/users/${encodeURIComponent(userId)}/courses?expand=course&limit=100`, token)
+}
+
+/** One user's membership in a course — NotFoundError when they aren't enrolled */
+async function getMembership (courseId, userId, token) {
+  return request('get', `/learn/api/public/v1/courses/${encodeURIComponent(courseId)}/users/${encodeURIComponent(userId)}`, { token })
+}
+
+async function getTerm (termId, token) {
+  return request('get', `/learn/api/public/v1/terms/${encodeURIComponent(termId)}`, { token })
+}
+
+module.exports = {
+  listRubrics, getRubric, createRubric, updateRubric, deleteRubric,
+  listRubricAssociations, createRubricAssociation, listGradebookColumns,
+  getCourse, getCurrentUser, listUserCourses, getMembership, getTerm, usePlatform,
+  ...errors
+}
@@ -0,0 +1,73 @@
+/**
+ * Typed errors for Learn REST calls.
+ *
+ *   NotFoundError      404
+ *   ForbiddenError     401 / 403 — expired session or missing entitlement
+ *   RateLimitedError   429 that outlasted the retries (retryAfter in seconds)
+ *   ValidationError    400 / 409 / 422 — Learn rejected the payload
+ *   BbApiError         anything else, including timeouts and network errors
+ *
+ * Every error keeps axios' `response` so older callers that look at
+ * err.response.status keep working. explain(err) turns any of them into a
+ * sentence for the instructor.
+ */
+
+class BbApiError extends Error {
+  constructor (message, { status = null, response = null, code = null, learnMessage = '' } = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.response = response
+    this.code = code
+    this.learnMessage = learnMessage
+  }
+}
+
+class NotFoundError extends BbApiError {}
+class ForbiddenError extends BbApiError {}
+class ValidationError extends BbApiError {}
+
+class RateLimitedError extends BbApiError {
+  constructor (message, opts = {}) {
+    super(message, opts)
+    this.retryAfter = opts.retryAfter ?? null
+  }
+}
+
+const TYPES = { 401: ForbiddenError, 403: ForbiddenError, 404: NotFoundError, 429: RateLimitedError, 400: ValidationError, 409: ValidationError, 422: ValidationError }
+
+/** Wrap an axios error; logs one line per failed request */
+function toBbError (err, method, url, extra = {}) {
+  const response = err.response || null
+  const status = response?.status || null
+  const body = response?.data
+  const learnMessage = (typeof body === 'object' ? body?.message : '') || ''
+  const detail = learnMessage || (typeof body === 'object' ? JSON.stringify(body) : body) || err.message
+  const message = `BB API ${status || (err.code === 'ECONNABORTED' ? 'timeout' : 'network error')}: ${detail}`
+  console.error('[bbClient]', method.toUpperCase(), url, '→', message)
+  const Type = TYPES[status] || BbApiError
+  return new Type(message, { status, response, code: err.code || null, learnMessage, ...extra })
+}
+
+/** What to tell the instructor about a failed call */
+function explain (err) {
+  const said = err.learnMessage ? ` (Blackboard said: ${err.learnMessage})` : ''
+  if (err instanceof NotFoundError) return `Blackboard could not find it — it may have been deleted, or the ID is wrong${said}`
+  if (err instanceof ForbiddenError) {
+    return err.status === 401
+      ? 'Your Blackboard session has expired — launch the tool again from the course'
+      : `You don't have permission to do that in this course${said}`
+  }
+  if (err instanceof RateLimitedError) {
+    return `Blackboard is limiting requests right now — try again${err.retryAfter ? ` in ${Math.ceil(err.retryAfter)} seconds` : ' shortly'}`
+  }
+  if (err instanceof ValidationError) return `Blackboard rejected the request: ${err.learnMessage || err.message}`
+  if (err instanceof BbApiError && !err.status) {
+    return err.code === 'ECONNABORTED' ? 'Blackboard did not respond in time — try again' : 'Could not reach Blackboard — try again'
+  }
+  return err.message
+}
+
+module.exports = {
+  BbApiError, NotFoundError, ForbiddenError, RateLimitedError, ValidationError, toBbError, explain
+}
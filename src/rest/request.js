@@ -0,0 +1,196 @@
+/**
+ * Shared request layer for every Learn REST call.
+ *
+ *   - timeout on every request (BB_TIMEOUT_MS, default 30s)
+ *   - at most BB_TOKEN_CONCURRENCY requests in flight per access token
+ *     (default 4), so one instructor's big push can't trip the rate limit
+ *     for everyone
+ *   - retries with exponential backoff and jitter (BB_MAX_RETRIES, default 3):
+ *     429 for any method — Learn didn't process it — and 502/503/504,
+ *     timeouts and dropped connections for idempotent methods only
+ *   - Retry-After and X-Rate-Limit-Remaining / -Reset pause every request
+ *     for that token until Learn is ready again
+ *   - paginate() follows paging.nextPage to the end
+ *   - each token goes to the Learn site it was issued by (usePlatform);
+ *     LTI_PLATFORM_URL otherwise
+ *
+ * Failures are thrown as the typed errors in ./errors.
+ */
+
+const axios = require('axios')
+const { toBbError, RateLimitedError } = require('./errors')
+
+const BB_BASE = process.env.LTI_PLATFORM_URL
+const TIMEOUT = parseInt(process.env.BB_TIMEOUT_MS || '30000', 10)
+const MAX_RETRIES = parseInt(process.env.BB_MAX_RETRIES || '3', 10)
+const PER_TOKEN = parseInt(process.env.BB_TOKEN_CONCURRENCY || '4', 10)
+
+const BACKOFF_MS = 500
+const MAX_BACKOFF_MS = 8000
+// Waits longer than this fail fast with a RateLimitedError instead
+const MAX_WAIT_MS = 60000
+
+const IDEMPOTENT = ['get', 'head', 'options', 'put', 'delete']
+const RETRY_STATUS = [502, 503, 504]
+const RETRY_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']
+
+const http = axios.create({ baseURL: BB_BASE, timeout: TIMEOUT })
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// ── Platforms ─────────────────────────────────────────────────────────────────
+
+// token → { baseUrl, seen }. Kept well past token expiry so long jobs finish.
+const platforms = new Map()
+const PLATFORM_TTL_MS = 12 * 3600_000
+
+setInterval(() => {
+  const cutoff = Date.now() - PLATFORM_TTL_MS
+  for (const [token, p] of platforms) if (p.seen < cutoff) platforms.delete(token)
+}, 3600_000).unref()
+
+/** Send every request made with token to baseUrl (the site that issued it) */
+function usePlatform (token, baseUrl) {
+  if (token && baseUrl) platforms.set(token, { baseUrl, seen: Date.now() })
+}
+
+// ── Per-token lanes ───────────────────────────────────────────────────────────
+
+// token → { active, waiting: [resolve], pausedUntil, users }. users counts the
+// requests holding the lane, including ones asleep between retries.
+const lanes = new Map()
+
+function laneFor (token) {
+  let lane = lanes.get(token)
+  if (!lane) {
+    lane = { active: 0, waiting: [], pausedUntil: 0, users: 0 }
+    lanes.set(token, lane)
+  }
+  lane.users++
+  return lane
+}
+
+/** A request is done with its lane; the last one out drops it unless paused */
+function leave (token, lane) {
+  lane.users--
+  if (!lane.users && lane.pausedUntil <= Date.now()) lanes.delete(token)
+}
+
+async function acquire (lane) {
+  if (lane.active < PER_TOKEN) {
+    lane.active++
+    return
+  }
+  // release() hands its slot straight to the next waiter
+  await new Promise(resolve => lane.waiting.push(resolve))
+}
+
+function release (lane) {
+  const next = lane.waiting.shift()
+  if (next) return next()
+  lane.active--
+}
+
+// ── Rate-limit headers ────────────────────────────────────────────────────────
+
+/** Retry-After as milliseconds — either seconds or an HTTP date */
+function retryAfterMs (headers) {
+  const value = headers?.['retry-after']
+  if (value == null || value === '') return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null
+}
+
+/** Pause the lane when Learn says the quota is used up */
+function noteRateLimit (lane, response) {
+  const headers = response?.headers
+  if (!headers) return
+  let wait = response.status === 429 ? retryAfterMs(headers) : null
+  if (wait == null && headers['x-rate-limit-remaining'] === '0') {
+    const reset = Number(headers['x-rate-limit-reset'])
+    if (Number.isFinite(reset)) wait = reset * 1000
+  }
+  if (wait) lane.pausedUntil = Math.max(lane.pausedUntil, Date.now() + wait)
+}
+
+/** How long to wait before retrying, or null to give up */
+function retryDelay (err, attempt, method) {
+  if (attempt >= MAX_RETRIES) return null
+  const status = err.response?.status
+  const backoff = Math.min(BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS) * (0.5 + Math.random() / 2)
+  if (status === 429) {
+    const wait = retryAfterMs(err.response.headers) ?? backoff
+    return wait > MAX_WAIT_MS ? null : wait
+  }
+  if (!IDEMPOTENT.includes(method)) return null
+  if (RETRY_STATUS.includes(status)) return retryAfterMs(err.response.headers) ?? backoff
+  if (!err.response && RETRY_CODES.includes(err.code)) return backoff
+  return null
+}
+
+// ── Requests ──────────────────────────────────────────────────────────────────
+
+/**
+ * One Learn REST call. path is relative to the platform
+ * (/learn/api/public/…); resolves to the response body.
+ */
+async function request (method, path, { token, data, params } = {}) {
+  const lane = laneFor(token)
+  try {
+    return await attempts(lane, method, path, { token, data, params })
+  } finally {
+    leave(token, lane)
+  }
+}
+
+/** request()'s tries, retried as retryDelay says */
+async function attempts (lane, method, path, { token, data, params }) {
+  for (let attempt = 0; ; attempt++) {
+    let resp, error
+    const paused = lane.pausedUntil - Date.now()
+    if (paused > MAX_WAIT_MS) {
+      throw new RateLimitedError('BB API 429: rate limit pause in effect', { status: 429, retryAfter: paused / 1000 })
+    }
+    await acquire(lane)
+    try {
+      const pause = lane.pausedUntil - Date.now()
+      if (pause > 0) await sleep(pause)
+      resp = await http.request({
+        method, url: path, data, params,
+        baseURL: platforms.get(token)?.baseUrl || BB_BASE,
+        headers: { Authorization: `Bearer ${token}` }
+      })
+    } catch (err) {
+      error = err
+    } finally {
+      noteRateLimit(lane, resp || error?.response)
+      release(lane)
+    }
+    if (resp) return resp.data
+
+    const delay = retryDelay(error, attempt, method)
+    if (delay == null) {
+      const wait = error.response?.status === 429 ? retryAfterMs(error.response.headers) : null
+      throw toBbError(error, method, path, { retryAfter: wait != null ? wait / 1000 : null })
+    }
+    console.warn('[bbClient]', method.toUpperCase(), path, `→ ${error.response?.status || error.code}, retry ${attempt + 1} in ${Math.round(delay)}ms`)
+    await sleep(delay)
+  }
+}
+
+/** Every result of a paged GET — follows paging.nextPage until it runs out */
+async function paginate (path, token) {
+  const results = []
+  const seen = new Set()
+  let next = path
+  while (next && !seen.has(next)) {
+    seen.add(next)
+    const page = await request('get', next, { token })
+    results.push(...(page.results || []))
+    next = page.paging?.nextPage || null
+  }
+  return results
+}
+
+module.exports = { request, paginate, usePlatform }
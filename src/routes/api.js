@@ -0,0 +1,308 @@
+/**
+ * JSON API, version 1 — the same transfers as the HTML pages, for scripts.
+ * Mounted at /api/v1; GET /api/v1/openapi.json describes it.
+ *
+ * Two ways in:
+ *   - the 3LO session cookie of a launch (lti_session): calls run as that
+ *     instructor, with the same source course checks as the UI (access.js)
+ *   - Authorization: Bearer <API token> (see apiTokens.js): calls run as the
+ *     REST application on the token's Learn site
+ *
+ * Writes must be sent as application/json, which a cross-site form can't
+ * do, so a session cookie alone can't be used to start a transfer.
+ */
+
+const express = require('express')
+const router = express.Router()
+router.use(express.json())
+
+const {
+  listRubrics, getRubric, getCourse, listUserCourses,
+  NotFoundError, ForbiddenError, RateLimitedError, ValidationError, explain
+} = require('../rest/bbClient')
+const { getTokenFromCookie } = require('../oauth')
+const { getAppToken, platformUrl } = require('../platforms')
+const { verifyApiToken } = require('../apiTokens')
+const { checkSourceAccess } = require('../access')
+const { CONFLICT_POLICIES, DEFAULT_RENAME } = require('../transfer')
+const { createJob, getJob, saveJob, runJob } = require('../jobs')
+const { planAssociations, applyAssociations } = require('../associations')
+const { RUBRIC_TYPES } = require('../rubrics/mapping')
+const { ROUNDING } = require('../rubrics/rescale')
+const { openApiDocument } = require('./openapi')
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Learn failures as HTTP statuses, with the UI's explanation as the message */
+function sendError (res, err) {
+  const status = err instanceof NotFoundError ? 404
+    : err instanceof ForbiddenError ? (err.status === 401 ? 401 : 403)
+      : err instanceof RateLimitedError ? 429
+        : err instanceof ValidationError ? 400
+          : 502
+  if (err instanceof RateLimitedError && err.retryAfter) res.set('Retry-After', String(Math.ceil(err.retryAfter)))
+  res.status(status).json({ error: explain(err) })
+}
+
+const badRequest = (res, message) => res.status(400).json({ error: message })
+
+/** Short form of a rubric for lists */
+const rubricSummary = (r) => ({
+  id: r.id,
+  title: r.title,
+  description: r.description || '',
+  rubricType: r.rubricType,
+  criteria: (r.rows || []).length,
+  levels: (r.columns || []).length,
+  modified: r.modified || null
+})
+
+// ── Authentication ────────────────────────────────────────────────────────────
+
+router.get('/openapi.json', (req, res) => {
+  const base = (process.env.APP_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '')
+  res.json(openApiDocument(`${base}/api/v1`))
+})
+
+/**
+ * Sets req.api = { token, userId, principal, via } from an API token or the
+ * session cookie. principal owns the transfers the caller starts.
+ */
+router.use(async (req, res, next) => {
+  const bearer = (req.get('authorization') || '').match(/^Bearer (.+)$/)
+  if (bearer) {
+    const record = verifyApiToken(bearer[1])
+    if (!record) return res.status(401).json({ error: 'Invalid or revoked API token' })
+    const platform = platformUrl(record.reg)
+    if (!platform) return res.status(500).json({ error: 'The API token\'s Learn site is no longer registered' })
+    try {
+      req.api = { token: await getAppToken(platform), userId: null, principal: `api:${record.id}`, via: 'token' }
+    } catch (err) {
+      console.error('[api] client-credentials token failed:', err.response?.data || err.message)
+      return res.status(502).json({ error: 'Could not get a Blackboard token for the REST application' })
+    }
+    return next()
+  }
+
+  const session = await getTokenFromCookie(req.cookies?.lti_session, res)
+  if (!session) {
+    return res.status(401).json({ error: 'Send an API token (Authorization: Bearer …) or launch the tool from Blackboard first' })
+  }
+  req.api = { token: session.token, userId: session.userId, principal: session.userId, via: 'session' }
+  next()
+})
+
+/**
+ * Session callers need the instructor's rights in a course they read from
+ * (access.js). API tokens are the institution's own and skip the check.
+ * Sends 403 and resolves false when refused.
+ */
+async function mayRead (req, res, courseId) {
+  if (req.api.via === 'token') return true
+  const { allowed, message } = await checkSourceAccess(courseId, {
+    token: req.api.token, userId: req.api.userId, action: `${req.method} ${req.baseUrl}${req.path}`
+  })
+  if (!allowed) res.status(403).json({ error: message })
+  return allowed
+}
+
+// ── Courses and rubrics ───────────────────────────────────────────────────────
+
+/**
+ * GET /courses[?user=&q=] — the caller's courses (a session), or those of
+ * `user` (any Learn user identifier; required with an API token). q filters
+ * by name or course ID.
+ */
+router.get('/courses', async (req, res) => {
+  const user = req.query.user || req.api.userId
+  if (!user) return badRequest(res, 'user is required with an API token, e.g. ?user=userName:jdoe')
+  if (req.api.via === 'session' && req.query.user && req.query.user !== req.api.userId) {
+    return res.status(403).json({ error: 'A session can only list its own courses' })
+  }
+  try {
+    const q = String(req.query.q || '').toLowerCase()
+    const courses = (await listUserCourses(user, req.api.token))
+      .filter(m => m.course)
+      .map(m => ({
+        id: m.course.id,
+        courseId: m.course.courseId,
+        name: m.course.name,
+        termId: m.course.termId || null,
+        role: m.courseRoleId
+      }))
+      .filter(c => !q || `${c.name} ${c.courseId}`.toLowerCase().includes(q))
+    res.json({ results: courses })
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+/** GET /courses/:courseId — courseId is a primary key or courseId:/externalId:/uuid: */
+router.get('/courses/:courseId', async (req, res) => {
+  try {
+    const c = await getCourse(req.params.courseId, req.api.token)
+    res.json({ id: c.id, courseId: c.courseId, externalId: c.externalId || null, name: c.name, termId: c.termId || null })
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+router.get('/courses/:courseId/rubrics', async (req, res) => {
+  try {
+    const course = await getCourse(req.params.courseId, req.api.token)
+    if (!await mayRead(req, res, course.id)) return
+    const rubrics = (await listRubrics(course.id, req.api.token)).results || []
+    res.json({ results: rubrics.map(rubricSummary) })
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+/** The rubric as Learn returns it */
+router.get('/courses/:courseId/rubrics/:rubricId', async (req, res) => {
+  try {
+    const course = await getCourse(req.params.courseId, req.api.token)
+    if (!await mayRead(req, res, course.id)) return
+    res.json(await getRubric(course.id, req.params.rubricId, req.api.token))
+  } catch (err) {
+    sendError(res, err)
+  }
+})
+
+// ── Transfers ─────────────────────────────────────────────────────────────────
+
+// Transfers whose associations are still being carried over, in this process
+const associating = new Set()
+
+/** runJob, then carry associations with the proposed matches when asked */
+async function runTransfer (job, token) {
+  if (!job.carryAssociations) return runJob(job, token)
+  associating.add(job.id)
+  try {
+    await runJob(job, token)
+    await planAssociations(job, token)
+    await applyAssociations(job, [], token)
+  } catch (err) {
+    job.associations = { ...job.associations, status: 'failed', error: explain(err) }
+  } finally {
+    associating.delete(job.id)
+    saveJob(job)
+  }
+}
+
+/** Score transform from the request body, or null — as transformOptions in ui.js */
+function transformFrom (t) {
+  if (!t) return null
+  const transform = {
+    convertTo: RUBRIC_TYPES.includes(t.convertTo) ? t.convertTo : '',
+    rescaleTo: Number(t.rescaleTo) > 0 ? Number(t.rescaleTo) : null,
+    rounding: ROUNDING[t.rounding] && t.rounding !== 'none' ? t.rounding : ''
+  }
+  return transform.convertTo || transform.rescaleTo || transform.rounding ? transform : null
+}
+
+/**
+ * POST /transfers — copy rubrics from sourceId into destIds (or destId).
+ * Course identifiers may be primary keys or prefixed ids. Without
+ * rubricIds every rubric in the source is copied. Answers 202 with the
+ * transfer; poll GET /transfers/:id until status is complete or failed.
+ */
+router.post('/transfers', async (req, res) => {
+  if (!req.is('application/json')) return res.status(415).json({ error: 'Send the transfer as application/json' })
+  const body = req.body || {}
+  const destRefs = body.destIds || (body.destId ? [body.destId] : [])
+  if (!body.sourceId) return badRequest(res, 'sourceId is required')
+  if (!Array.isArray(destRefs) || !destRefs.length) return badRequest(res, 'destId or destIds is required')
+  if (body.rubricIds && !Array.isArray(body.rubricIds)) return badRequest(res, 'rubricIds must be an array')
+  if (body.onConflict && !CONFLICT_POLICIES[body.onConflict]) {
+    return badRequest(res, `onConflict must be one of ${Object.keys(CONFLICT_POLICIES).join(', ')}`)
+  }
+  if (body.transform?.convertTo && !RUBRIC_TYPES.includes(body.transform.convertTo)) {
+    return badRequest(res, `transform.convertTo must be one of ${RUBRIC_TYPES.join(', ')}`)
+  }
+
+  const { token } = req.api
+  let source, dests, rubricIds
+  try {
+    source = await getCourse(body.sourceId, token)
+    if (!await mayRead(req, res, source.id)) return
+    dests = await Promise.all(destRefs.map(ref => getCourse(ref, token)))
+    rubricIds = body.rubricIds?.length
+      ? body.rubricIds.map(String)
+      : ((await listRubrics(source.id, token)).results || []).map(r => r.id)
+  } catch (err) {
+    return sendError(res, err)
+  }
+  dests = dests.filter((d, i) => d.id !== source.id && dests.findIndex(x => x.id === d.id) === i)
+  if (!dests.length) return badRequest(res, 'The destination must differ from the source')
+  if (!rubricIds.length) return badRequest(res, 'The source course has no rubrics')
+
+  const job = createJob({
+    userId: req.api.principal,
+    mode: dests.length > 1 ? 'push' : 'pull',
+    sourceId: source.id,
+    destIds: dests.map(d => d.id),
+    rubricIds,
+    courseNames: Object.fromEntries(dests.map(d => [d.id, d.name])),
+    defaultPolicy: body.onConflict || 'skip',
+    template: body.renameTemplate || DEFAULT_RENAME,
+    carryAssociations: !!body.carryAssociations,
+    transform: transformFrom(body.transform)
+  })
+  runTransfer(job, token).catch(err => console.error('[api]', job.id, err.message))
+
+  res.status(202).location(`${req.baseUrl}/transfers/${job.id}`).json(transferStatus(job))
+})
+
+/** The API's view of a job */
+function transferStatus (job) {
+  const counts = { pending: 0, running: 0, done: 0, failed: 0 }
+  for (const i of job.items) counts[i.status] = (counts[i.status] || 0) + 1
+  // Not finished until the associations are carried over too
+  const status = ['complete', 'failed'].includes(job.status) && associating.has(job.id) ? 'running' : job.status
+  return {
+    id: job.id,
+    status,
+    sourceId: job.sourceId,
+    destIds: job.destIds,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    error: job.error,
+    counts,
+    items: job.items.map(i => ({
+      rubricId: i.rubricId,
+      destId: i.destId,
+      status: i.status,
+      action: i.result?.action || null,
+      title: i.result?.title || null,
+      // The rubric in the destination — the existing one when skipped
+      copyId: i.result?.action === 'failed' ? null : i.result?.id || null,
+      reason: i.result?.reason || null,
+      changes: i.result?.report || []
+    })),
+    associations: job.associations && {
+      status: job.associations.status,
+      error: job.associations.error || null,
+      errors: job.associations.errors || [],
+      results: job.associations.results || []
+    }
+  }
+}
+
+router.get('/transfers/:id', (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job || job.userId !== req.api.principal) return res.status(404).json({ error: 'No such transfer' })
+  res.json(transferStatus(job))
+})
+
+router.use((req, res) => res.status(404).json({ error: `No such endpoint: ${req.method} ${req.baseUrl}${req.path}` }))
+
+/** For app.js, after the router: body parser and other errors as JSON rather than an HTML page */
+router.handleErrors = (err, req, res, next) => {
+  if (res.headersSent) return next(err)
+  if (err.type === 'entity.parse.failed') return badRequest(res, 'The request body is not valid JSON')
+  console.error('[api]', req.method, req.originalUrl, err.message)
+  res.status(err.status || 500).json({ error: err.expose ? err.message : 'Internal error' })
+}
+
+module.exports = router
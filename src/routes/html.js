@@ -0,0 +1,74 @@
+/**
+ * Shared HTML helpers for the tool's server-rendered pages.
+ */
+
+// ── Escaping ──────────────────────────────────────────────────────────────────
+
+/** Escape text from Learn before dropping it into HTML */
+function esc (s) {
+  return String(s ?? '').replace(/[&<>"']/g, c =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]))
+}
+
+// ── HTML shell ────────────────────────────────────────────────────────────────
+
+/** A full page; title is plain text and is escaped here */
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+  <title>${esc(title)}</title>
+  <style>
+    *{box-sizing:border-box}
+    body{font-family:system-ui,sans-serif;max-width:680px;margin:40px auto;padding:0 20px;color:#1e293b;background:#f8fafc}
+    .card{background:#fff;border:1px solid #e2e8f0;border-radius:10px;padding:28px 32px;margin-bottom:20px}
+    h2{margin:0 0 4px;font-size:1.15rem}
+    .sub{color:#64748b;font-size:0.85rem;margin:0 0 20px}
+    label{display:block;font-weight:500;font-size:0.88rem;margin-bottom:5px;margin-top:14px}
+    input[type=text]{width:100%;padding:9px 11px;border:1px solid #cbd5e1;border-radius:6px;font-size:0.95rem}
+    input[type=text]:focus{outline:2px solid #3b82f6;border-color:transparent}
+    input[type=file]{margin-top:14px;font-size:0.9rem}
+    textarea{width:100%;padding:9px 11px;border:1px solid #cbd5e1;border-radius:6px;font-size:0.9rem;font-family:inherit}
+    .btn{display:inline-block;margin-top:18px;padding:9px 22px;background:#2563eb;color:#fff;border:none;border-radius:6px;font-size:0.9rem;cursor:pointer;text-decoration:none}
+    .btn:hover{background:#1d4ed8}
+    .btn-ghost{background:transparent;color:#2563eb;border:1px solid #2563eb;margin-left:10px}
+    .btn-ghost:hover{background:#eff6ff}
+    .rubric-list{list-style:none;padding:0;margin:0}
+    .rubric-list li{display:flex;flex-wrap:wrap;align-items:center;gap:10px;padding:10px 0;border-bottom:1px solid #f1f5f9}
+    .rubric-list li:last-child{border-bottom:none}
+    .rubric-list label{margin:0;font-weight:400;font-size:0.95rem;cursor:pointer}
+    .tag{display:inline-block;font-size:0.75rem;background:#f1f5f9;color:#475569;padding:2px 7px;border-radius:4px}
+    .alert{padding:12px 16px;border-radius:7px;margin-bottom:16px;font-size:0.9rem}
+    .alert-err{background:#fef2f2;border:1px solid #fecaca;color:#b91c1c}
+    .alert-ok{background:#f0fdf4;border:1px solid #86efac;color:#166534}
+    code{background:#f1f5f9;padding:2px 6px;border-radius:4px;font-size:0.88rem}
+    select{width:100%;padding:9px 11px;border:1px solid #cbd5e1;border-radius:6px;font-size:0.95rem;background:#fff}
+    .filters{display:flex;gap:10px}
+    .filters>div{flex:1}
+    .course-list{max-height:340px;overflow-y:auto;border:1px solid #e2e8f0;border-radius:6px;padding:0 12px;margin-top:14px}
+    .course-list .meta{color:#64748b;font-size:0.8rem}
+    .muted{color:#64748b;font-size:0.85rem}
+    details.preview{width:100%;margin-top:6px}
+    details.preview summary{cursor:pointer;color:#2563eb;font-size:0.82rem}
+    .grid-wrap{overflow-x:auto;margin-top:8px}
+    table.grid{border-collapse:collapse;font-size:0.8rem;min-width:100%}
+    table.grid th,table.grid td{border:1px solid #e2e8f0;padding:6px 8px;vertical-align:top;text-align:left}
+    table.grid thead th{background:#f1f5f9}
+    table.grid td .pts{display:block;color:#475569;font-weight:600;margin-top:4px}
+    .compare{display:flex;gap:12px}
+    .compare>div{flex:1;min-width:0}
+    .compare h4{margin:8px 0 0;font-size:0.82rem}
+    table.grid.edit th,table.grid.edit td{min-width:150px}
+    table.grid.edit input[type=text],table.grid.edit textarea{padding:5px 7px;font-size:0.8rem}
+    table.grid.edit input[type=number]{width:64px;padding:3px 5px;border:1px solid #cbd5e1;border-radius:4px;font-size:0.8rem}
+    table.grid.edit .score{margin-top:4px;color:#475569}
+    table.grid.edit .ops{margin-top:4px;display:flex;gap:4px}
+    .mini{padding:2px 7px;font-size:0.75rem;border:1px solid #cbd5e1;background:#fff;border-radius:4px;cursor:pointer}
+    .mini:disabled{opacity:0.4;cursor:default}
+  </style>
+</head>
+<body>${body}</body>
+</html>`
+
+module.exports = { page, esc }
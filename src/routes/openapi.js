@@ -0,0 +1,194 @@
+/**
+ * OpenAPI 3 description of the JSON API in ./api.js, served at
+ * /api/v1/openapi.json. Keep the two in step.
+ */
+
+const { CONFLICT_POLICIES } = require('../transfer')
+const { RUBRIC_TYPES } = require('../rubrics/mapping')
+const { ROUNDING } = require('../rubrics/rescale')
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` })
+const json = (schema) => ({ content: { 'application/json': { schema } } })
+const error = (description) => ({ description, ...json(ref('Error')) })
+
+const courseIdParam = {
+  name: 'courseId',
+  in: 'path',
+  required: true,
+  description: 'Primary key (_123_1) or a prefixed id: courseId:BIO101, externalId:…, uuid:…',
+  schema: { type: 'string' }
+}
+
+const ERRORS = {
+  401: error('No valid API token or session'),
+  403: error('Not allowed in this course'),
+  404: error('Not found'),
+  429: error('Blackboard is rate limiting — see Retry-After'),
+  502: error('Blackboard failed or could not be reached')
+}
+
+function openApiDocument (serverUrl) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Rubric Transfer API',
+      version: '1',
+      description: 'List courses and rubrics and copy rubrics between Blackboard Learn courses. ' +
+        'Authenticate with an API token issued by the tool\'s operator, or with the session cookie of a launch.'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ apiToken: [] }, { session: [] }],
+    paths: {
+      '/courses': {
+        get: {
+          summary: 'Courses a user is enrolled in',
+          parameters: [
+            { name: 'user', in: 'query', schema: { type: 'string' }, description: 'Learn user id (_12_1, userName:jdoe, …). Required with an API token; a session lists its own courses.' },
+            { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Filter by course name or course ID' }
+          ],
+          responses: {
+            200: { description: 'Courses', ...json({ type: 'object', properties: { results: { type: 'array', items: ref('Course') } } }) },
+            400: error('user is missing'),
+            401: ERRORS[401],
+            403: ERRORS[403],
+            502: ERRORS[502]
+          }
+        }
+      },
+      '/courses/{courseId}': {
+        get: {
+          summary: 'One course',
+          parameters: [courseIdParam],
+          responses: { 200: { description: 'The course', ...json(ref('Course')) }, 401: ERRORS[401], 404: ERRORS[404], 502: ERRORS[502] }
+        }
+      },
+      '/courses/{courseId}/rubrics': {
+        get: {
+          summary: 'Rubrics in a course',
+          parameters: [courseIdParam],
+          responses: {
+            200: { description: 'Rubric summaries', ...json({ type: 'object', properties: { results: { type: 'array', items: ref('RubricSummary') } } }) },
+            ...ERRORS
+          }
+        }
+      },
+      '/courses/{courseId}/rubrics/{rubricId}': {
+        get: {
+          summary: 'One rubric, as Learn returns it',
+          parameters: [courseIdParam, { name: 'rubricId', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { 200: { description: 'The rubric', ...json(ref('Rubric')) }, ...ERRORS }
+        }
+      },
+      '/transfers': {
+        post: {
+          summary: 'Copy rubrics from one course into one or more others',
+          description: 'Runs in the background. Poll the returned transfer until status is complete or failed.',
+          requestBody: { required: true, ...json(ref('TransferRequest')) },
+          responses: {
+            202: { description: 'Transfer started', headers: { Location: { schema: { type: 'string' } } }, ...json(ref('Transfer')) },
+            400: error('Invalid request'),
+            415: error('Body is not application/json'),
+            ...ERRORS
+          }
+        }
+      },
+      '/transfers/{id}': {
+        get: {
+          summary: 'Progress and results of a transfer',
+          parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+          responses: { 200: { description: 'The transfer', ...json(ref('Transfer')) }, 401: ERRORS[401], 404: ERRORS[404] }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        apiToken: { type: 'http', scheme: 'bearer', description: 'bbrt_… token from POST /admin/api-tokens' },
+        session: { type: 'apiKey', in: 'cookie', name: 'lti_session', description: 'Set by launching the tool from Blackboard' }
+      },
+      schemas: {
+        Error: { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] },
+        Course: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: '_123_1' },
+            courseId: { type: 'string', example: 'BIO101-F25' },
+            externalId: { type: 'string', nullable: true },
+            name: { type: 'string' },
+            termId: { type: 'string', nullable: true },
+            role: { type: 'string', description: 'The user\'s course role (lists only)' }
+          }
+        },
+        RubricSummary: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            rubricType: { type: 'string', enum: RUBRIC_TYPES },
+            criteria: { type: 'integer' },
+            levels: { type: 'integer' },
+            modified: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        Rubric: {
+          type: 'object',
+          description: 'Learn\'s rubric object: title, description, rubricType, columns (levels) and rows (criteria) with cells',
+          additionalProperties: true
+        },
+        TransferRequest: {
+          type: 'object',
+          required: ['sourceId'],
+          properties: {
+            sourceId: { type: 'string', description: 'Course to copy from (primary key or prefixed id)' },
+            destId: { type: 'string', description: 'Course to copy into' },
+            destIds: { type: 'array', items: { type: 'string' }, description: 'Several courses to copy into, instead of destId' },
+            rubricIds: { type: 'array', items: { type: 'string' }, description: 'Rubrics to copy; all of them when left out' },
+            onConflict: { type: 'string', enum: Object.keys(CONFLICT_POLICIES), default: 'skip', description: 'When the destination already has a rubric with the same title' },
+            renameTemplate: { type: 'string', default: '{title} (copy)', description: 'Title for renamed copies' },
+            carryAssociations: { type: 'boolean', default: false, description: 'Attach copies to the matching gradebook columns' },
+            transform: {
+              type: 'object',
+              properties: {
+                convertTo: { type: 'string', enum: RUBRIC_TYPES },
+                rescaleTo: { type: 'number', description: 'New maximum points' },
+                rounding: { type: 'string', enum: Object.keys(ROUNDING) }
+              }
+            }
+          }
+        },
+        Transfer: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: { type: 'string', enum: ['queued', 'running', 'complete', 'failed', 'interrupted'] },
+            sourceId: { type: 'string' },
+            destIds: { type: 'array', items: { type: 'string' } },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+            error: { type: 'string', nullable: true },
+            counts: { type: 'object', additionalProperties: { type: 'integer' } },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  rubricId: { type: 'string' },
+                  destId: { type: 'string' },
+                  status: { type: 'string', enum: ['pending', 'running', 'done', 'failed'] },
+                  action: { type: 'string', enum: ['created', 'renamed', 'overwritten', 'skipped', 'failed'], nullable: true },
+                  title: { type: 'string', nullable: true },
+                  copyId: { type: 'string', nullable: true, description: 'The rubric in the destination (the existing one when skipped)' },
+                  reason: { type: 'string', nullable: true },
+                  changes: { type: 'array', items: { type: 'object' }, description: 'Fields changed or not carried over' }
+                }
+              }
+            },
+            associations: { type: 'object', nullable: true }
+          }
+        }
+      }
+    }
+  }
+}
+
+module.exports = { openApiDocument }
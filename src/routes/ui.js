@@ -1,44 +1,31 @@
 const express = require('express')
+const multer = require('multer')
 const router = express.Router()
 router.use(express.urlencoded({ extended: true }))
 
-const { listRubrics, getRubric, createRubric } = require('../rest/bbClient')
-const { getTokenFromCookie } = require('../oauth')
-
-// ── HTML shell ────────────────────────────────────────────────────────────────
-
-const page = (title, body) => `<!DOCTYPE html>
-<html>
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width,initial-scale=1">
-  <title>${title}</title>
-  <style>
-    *{box-sizing:border-box}
-    body{font-family:system-ui,sans-serif;max-width:680px;margin:40px auto;padding:0 20px;color:#1e293b;background:#f8fafc}
-    .card{background:#fff;border:1px solid #e2e8f0;border-radius:10px;padding:28px 32px;margin-bottom:20px}
-    h2{margin:0 0 4px;font-size:1.15rem}
-    .sub{color:#64748b;font-size:0.85rem;margin:0 0 20px}
-    label{display:block;font-weight:500;font-size:0.88rem;margin-bottom:5px;margin-top:14px}
-    input[type=text]{width:100%;padding:9px 11px;border:1px solid #cbd5e1;border-radius:6px;font-size:0.95rem}
-    input[type=text]:focus{outline:2px solid #3b82f6;border-color:transparent}
-    .btn{display:inline-block;margin-top:18px;padding:9px 22px;background:#2563eb;color:#fff;border:none;border-radius:6px;font-size:0.9rem;cursor:pointer;text-decoration:none}
-    .btn:hover{background:#1d4ed8}
-    .btn-ghost{background:transparent;color:#2563eb;border:1px solid #2563eb;margin-left:10px}
-    .btn-ghost:hover{background:#eff6ff}
-    .rubric-list{list-style:none;padding:0;margin:0}
-    .rubric-list li{display:flex;align-items:center;gap:10px;padding:10px 0;border-bottom:1px solid #f1f5f9}
-    .rubric-list li:last-child{border-bottom:none}
-    .rubric-list label{margin:0;font-weight:400;font-size:0.95rem;cursor:pointer}
-    .tag{display:inline-block;font-size:0.75rem;background:#f1f5f9;color:#475569;padding:2px 7px;border-radius:4px}
-    .alert{padding:12px 16px;border-radius:7px;margin-bottom:16px;font-size:0.9rem}
-    .alert-err{background:#fef2f2;border:1px solid #fecaca;color:#b91c1c}
-    .alert-ok{background:#f0fdf4;border:1px solid #86efac;color:#166534}
-    code{background:#f1f5f9;padding:2px 6px;border-radius:4px;font-size:0.88rem}
-  </style>
-</head>
-<body>${body}</body>
-</html>`
+const UPLOAD_LIMIT_MB = 5
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_LIMIT_MB * 1024 * 1024 } })
+
+const {
+  listRubrics, getRubric, updateRubric, deleteRubric, listRubricAssociations,
+  getCourse, getCurrentUser, listUserCourses, getTerm, NotFoundError, explain
+} = require('../rest/bbClient')
+const { getTokenFromCookie, signCookie, verifyCookie } = require('../oauth')
+const { page, esc } = require('./html')
+const { renderGrid, renderComparison } = require('../rubrics/grid')
+const { mapRubric, RUBRIC_TYPES } = require('../rubrics/mapping')
+const { ROUNDING, maxScore } = require('../rubrics/rescale')
+const { CONFLICT_POLICIES, DEFAULT_RENAME, titleKey, loadExisting } = require('../transfer')
+const { createJob, getJob, saveJob, runJob } = require('../jobs')
+const { planAssociations, applyAssociations } = require('../associations')
+const { EXPORTS, exportRubrics } = require('../rubrics/export')
+const { parseUpload } = require('../rubrics/fileImport')
+const { validatePayload } = require('../rubrics/validate')
+const { dense, parseEditor, applyOp, renderEditor } = require('../rubrics/editor')
+const { pairRubrics, diffRubrics, applyChanges } = require('../rubrics/diff')
+const { recordLink, linksBetween } = require('../links')
+const { checkSourceAccess, hasCourseRole } = require('../access')
+const { libraryRefs, parseTags, setTags, searchLibrary } = require('../library')
 
 // ── Token middleware ──────────────────────────────────────────────────────────
 
@@ -46,30 +33,374 @@ async function requireToken (req, res, next) {
   const result = await getTokenFromCookie(req.cookies?.lti_session, res)
   if (!result) {
     // Session expired or missing — send them back through OAuth
-    const courseId = req.query.courseId || req.body?.destId || ''
+    const courseId = req.query.courseId || req.query.destId || req.body?.destId || ''
     return res.redirect(`/oauth/start?courseId=${encodeURIComponent(courseId)}`)
   }
   req.bbToken = result.token
+  req.bbUserId = result.userId
   next()
 }
 
-// ── Step 1: Enter source course ID ───────────────────────────────────────────
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Checkbox/array form fields arrive as a string when only one is ticked */
+const asList = (v) => Array.isArray(v) ? v : v ? [v] : []
+
+/**
+ * Normalise whatever the instructor typed into an identifier Learn accepts.
+ * Primary keys (_123_1) and prefixed ids (courseId:, externalId:, uuid:) pass
+ * through; anything else is assumed to be the visible course ID.
+ */
+function courseRef (input) {
+  const v = String(input || '').trim()
+  const m = v.match(/^(courseid|externalid|uuid):\s*(.+)$/i)
+  if (m) {
+    const prefix = { courseid: 'courseId', externalid: 'externalId', uuid: 'uuid' }[m[1].toLowerCase()]
+    return `${prefix}:${m[2]}`
+  }
+  if (/^_\d+_\d+$/.test(v)) return v
+  return `courseId:${v}`
+}
+
+/**
+ * Whether the user may copy rubrics out of sourceId (see access.js). If not,
+ * calls deny with the reason and resolves false.
+ */
+async function mayCopyFrom (req, sourceId, deny) {
+  const { allowed, message } = await checkSourceAccess(sourceId, {
+    token: req.bbToken, userId: req.bbUserId, action: `${req.method} ${req.baseUrl}${req.path}`
+  })
+  if (!allowed) deny(message)
+  return allowed
+}
+
+/**
+ * Whether the user may read and change rubrics in destId: they need one of
+ * SOURCE_COURSE_ROLES there (see access.js). destId comes from the request,
+ * so the launch doesn't vouch for it. If not, calls deny and resolves false.
+ */
+async function mayWriteTo (req, destId, deny) {
+  if (destId && await hasCourseRole(destId, { token: req.bbToken, userId: req.bbUserId })) return true
+  console.warn('[access] denied', JSON.stringify({
+    at: new Date().toISOString(), user: req.bbUserId, dest: destId,
+    action: `${req.method} ${req.baseUrl}${req.path}`, reason: 'no course role in destination'
+  }))
+  deny('You can only copy rubrics into courses you teach.')
+  return false
+}
+
+/** deny callback for mayCopyFrom and mayWriteTo that shows a full page */
+const deniedPage = (res, back) => (message) => res.status(403).send(page('Not allowed', `
+  <div class="card"><div class="alert alert-err">${esc(message)}</div>
+  <a class="btn" href="${esc(back)}">Back</a></div>`))
+
+const homeWithError = (res, courseId) => (message) =>
+  res.redirect(303, `/ui/home?courseId=${encodeURIComponent(courseId || '')}&err=${encodeURIComponent(message)}`)
+
+/** Per-rubric list of fields that could not be carried over */
+function fidelityReport (report) {
+  if (!report) return ''
+  if (!report.length) return '<span class="tag">exact copy</span>'
+  return `<details class="preview"><summary>${report.length} field(s) changed or not carried over</summary>
+    <ul class="muted">${report.map(r => `<li><code>${esc(r.field)}</code> — ${esc(r.reason)}</li>`).join('')}</ul>
+  </details>`
+}
+
+/**
+ * Score transform from form fields (query or body), or null when every
+ * field is left at "keep". See rubrics/rescale.js.
+ */
+function transformOptions (fields) {
+  const convertTo = RUBRIC_TYPES.includes(fields.convertTo) ? fields.convertTo : ''
+  const rescaleTo = Number(fields.rescaleTo) > 0 ? Number(fields.rescaleTo) : null
+  const rounding = ROUNDING[fields.rounding] && fields.rounding !== 'none' ? fields.rounding : ''
+  if (!convertTo && !rescaleTo && !rounding) return null
+  return { convertTo, rescaleTo, rounding }
+}
+
+/** Rescale / convert controls for the import step */
+function transformFields () {
+  return `
+    <details class="preview" id="transform">
+      <summary>Change scores while copying</summary>
+      <div class="filters">
+        <div>
+          <label for="convertTo">Rubric type</label>
+          <select id="convertTo" name="convertTo">
+            <option value="">Keep each rubric's type</option>
+            ${RUBRIC_TYPES.map(t => `<option value="${t}">Convert to ${t}</option>`).join('')}
+          </select>
+        </div>
+        <div>
+          <label for="rescaleTo">New maximum points</label>
+          <input type="number" id="rescaleTo" name="rescaleTo" min="0" step="any" placeholder="Keep"/>
+        </div>
+        <div>
+          <label for="rounding">Rounding</label>
+          <select id="rounding" name="rounding">
+            ${Object.entries(ROUNDING).map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <p class="muted">Every cell is scaled by the same factor. Percentage rubrics are always out of 100%;
+        converting to one turns each criterion's share of the points into its weight. Open a preview to see the result.</p>
+    </details>`
+}
+
+/**
+ * Courses the launching user is enrolled in, newest term first.
+ * Term names are looked up once per distinct termId; a failed lookup just
+ * leaves the course without a term label.
+ */
+async function loadMyCourses (req) {
+  const userId = req.bbUserId || (await getCurrentUser(req.bbToken)).id
+  const memberships = await listUserCourses(userId, req.bbToken)
+
+  const courses = memberships
+    .filter(m => m.course)
+    .map(m => ({
+      id: m.course.id,
+      courseId: m.course.courseId,
+      name: m.course.name,
+      termId: m.course.termId || '',
+      role: m.courseRoleId,
+      created: m.course.created || ''
+    }))
+
+  const termIds = [...new Set(courses.map(c => c.termId).filter(Boolean))]
+  const terms = {}
+  await Promise.all(termIds.map(async id => {
+    try { terms[id] = (await getTerm(id, req.bbToken)).name }
+    catch { terms[id] = id }
+  }))
+  for (const c of courses) c.term = terms[c.termId] || ''
+
+  return courses.sort((a, b) => b.created.localeCompare(a.created))
+}
+
+/**
+ * Searchable list of courses, filterable by term, name and course code.
+ * type is 'radio' (pick one source) or 'checkbox' (pick many destinations).
+ */
+function coursePicker (courses, type, name) {
+  if (!courses.length) return ''
+  const terms = [...new Set(courses.map(c => c.term).filter(Boolean))]
+  const termOpts = terms.map(t => `<option value="${esc(t)}">${esc(t)}</option>`).join('')
+  const items = courses.map(c => `
+    <li data-term="${esc(c.term)}" data-search="${esc(`${c.name} ${c.courseId}`.toLowerCase())}">
+      <input type="${type}" name="${name}" value="${esc(c.id)}" id="c_${esc(c.id)}"/>
+      <label for="c_${esc(c.id)}">${esc(c.name)}<br>
+        <span class="meta">${esc(c.courseId)}${c.term ? ` · ${esc(c.term)}` : ''}</span></label>
+    </li>`).join('')
+
+  return `
+    <div class="filters">
+      <div>
+        <label for="q">Search by name or course code</label>
+        <input type="text" id="q" placeholder="e.g. BIO101"/>
+      </div>
+      <div>
+        <label for="term">Term</label>
+        <select id="term"><option value="">All terms</option>${termOpts}</select>
+      </div>
+    </div>
+    <ul class="rubric-list course-list" id="courses">${items}</ul>
+    <p class="muted" id="none" hidden>No courses match.</p>
+    <script>
+      (function () {
+        var q = document.getElementById('q'), term = document.getElementById('term')
+        function apply () {
+          var text = q.value.trim().toLowerCase(), t = term.value, shown = 0
+          document.querySelectorAll('#courses li').forEach(function (li) {
+            var ok = (!t || li.dataset.term === t) && li.dataset.search.indexOf(text) !== -1
+            li.hidden = !ok
+            if (ok) shown++
+          })
+          document.getElementById('none').hidden = shown > 0
+        }
+        q.addEventListener('input', apply)
+        term.addEventListener('change', apply)
+      })()
+    </script>`
+}
+
+// ── Rubric library ────────────────────────────────────────────────────────────
 
-router.get('/home', requireToken, (req, res) => {
+const LIBRARY_PAGE = 50
+
+/**
+ * The institution library card for /ui/home: search, tag filter and one
+ * Import button per rubric. Staff of a library course (see hasCourseRole)
+ * can edit its rubrics' tags. Empty when no library is configured.
+ */
+async function libraryCard (req, destId) {
+  if (!libraryRefs().length) return ''
+  const q = String(req.query.lq || '')
+  const tag = String(req.query.ltag || '')
+
+  let found
+  try {
+    found = await searchLibrary(req.bbToken, { q, tag })
+  } catch (err) {
+    return `<div class="card"><h2>Rubric library</h2>
+      <div class="alert alert-err">Could not load the rubric library: ${esc(explain(err))}</div></div>`
+  }
+  const { results, tags, courses, errors } = found
+  const curates = new Set()
+  for (const c of courses) if (await hasCourseRole(c.id, { token: req.bbToken, userId: req.bbUserId })) curates.add(c.id)
+  const here = `/ui/home?${new URLSearchParams({ courseId: destId, lq: q, ltag: tag })}`
+
+  const items = results.slice(0, LIBRARY_PAGE).map(({ course, rubric, tags: rubricTags }) => {
+    const previewUrl = `/ui/rubric-preview?${new URLSearchParams({ sourceId: course.id, rubricId: rubric.id, destId })}`
+    return `
+    <li>
+      <strong>${esc(rubric.title)}</strong> <span class="tag">${esc(rubric.rubricType)}</span>
+      ${rubricTags.map(t => `<a class="tag" href="/ui/home?${new URLSearchParams({ courseId: destId, ltag: t })}">${esc(t)}</a>`).join(' ')}
+      <div class="muted">${esc(course.name)} · ${rubric.criteria} criteria${rubric.description ? ` · ${esc(rubric.description)}` : ''}</div>
+      <details class="preview" data-url="${esc(previewUrl)}">
+        <summary>Preview</summary>
+        <div class="muted">Loading…</div>
+      </details>
+      <form method="POST" action="/ui/library/import" style="display:inline">
+        <input type="hidden" name="libraryId" value="${esc(course.id)}"/>
+        <input type="hidden" name="rubricId" value="${esc(rubric.id)}"/>
+        <input type="hidden" name="destId" value="${esc(destId)}"/>
+        <button class="btn" type="submit">Import into this course</button>
+      </form>
+      ${curates.has(course.id) ? `
+      <details class="preview">
+        <summary>Edit tags</summary>
+        <form method="POST" action="/ui/library/tags">
+          <input type="hidden" name="libraryId" value="${esc(course.id)}"/>
+          <input type="hidden" name="rubricId" value="${esc(rubric.id)}"/>
+          <input type="hidden" name="back" value="${esc(here)}"/>
+          <label for="tags_${esc(rubric.id)}">Tags, separated by commas</label>
+          <input type="text" id="tags_${esc(rubric.id)}" name="tags" value="${esc(rubricTags.join(', '))}" placeholder="e.g. Biology, Lab work, First year"/>
+          <button class="btn btn-ghost" type="submit">Save tags</button>
+        </form>
+      </details>` : ''}
+    </li>`
+  }).join('')
+
+  return `
+    <div class="card">
+      <h2>Rubric library</h2>
+      <p class="sub">Approved rubrics from ${courses.map(c => `<strong>${esc(c.name)}</strong>`).join(', ') || 'the institution library'}.
+        Importing adds a copy to <code>${esc(destId)}</code>.</p>
+      ${errors.map(e => `<div class="alert alert-err">${esc(e)}</div>`).join('')}
+      <form method="GET" action="/ui/home" class="filters" style="align-items:flex-end">
+        <input type="hidden" name="courseId" value="${esc(destId)}"/>
+        <div>
+          <label for="lq">Search titles, descriptions and criteria</label>
+          <input type="text" id="lq" name="lq" value="${esc(q)}" placeholder="e.g. lab report"/>
+        </div>
+        <div>
+          <label for="ltag">Tag</label>
+          <select id="ltag" name="ltag">
+            <option value="">All tags</option>
+            ${tags.map(t => `<option value="${esc(t)}"${t.toLowerCase() === tag.toLowerCase() ? ' selected' : ''}>${esc(t)}</option>`).join('')}
+          </select>
+        </div>
+        <div><button class="btn" style="margin-left:0" type="submit">Search</button></div>
+      </form>
+      ${results.length ? `<ul class="rubric-list">${items}</ul>` : '<p class="muted">No library rubrics match.</p>'}
+      ${results.length > LIBRARY_PAGE ? `<p class="muted">Showing the best ${LIBRARY_PAGE} of ${results.length} matches — narrow the search to see the rest.</p>` : ''}
+    </div>
+    <script>
+      document.querySelectorAll('details.preview[data-url]').forEach(function (d) {
+        d.addEventListener('toggle', function () {
+          if (!d.open || d.dataset.loaded) return
+          d.dataset.loaded = '1'
+          var box = d.querySelector('div')
+          fetch(d.dataset.url, { credentials: 'same-origin' })
+            .then(function (r) { return r.text() })
+            .then(function (html) { box.outerHTML = html })
+            .catch(function () { box.textContent = 'Could not load preview.'; delete d.dataset.loaded })
+        })
+      })
+    </script>`
+}
+
+/** One-click copy of a library rubric into the launching course, as a pull job */
+router.post('/library/import', requireToken, async (req, res) => {
+  const { libraryId, rubricId, destId } = req.body
+  if (!libraryId || !rubricId) return res.redirect(303, `/ui/home?courseId=${encodeURIComponent(destId || '')}`)
+  if (!await mayWriteTo(req, destId, deniedPage(res, '/ui/home'))) return
+  if (!await mayCopyFrom(req, libraryId, deniedPage(res, `/ui/home?courseId=${encodeURIComponent(destId)}`))) return
+
+  const job = createJob({
+    userId: req.bbUserId,
+    sourceId: libraryId,
+    destIds: [destId],
+    rubricIds: [rubricId],
+    policies: {},
+    carryAssociations: false,
+    transform: null,
+    template: DEFAULT_RENAME
+  })
+  runJob(job, req.bbToken).catch(err => console.error('[jobs]', job.id, err.message))
+  res.redirect(303, `/ui/jobs/${job.id}`)
+})
+
+router.post('/library/tags', requireToken, async (req, res) => {
+  const { libraryId, rubricId } = req.body
+  // Only ever back to a page of ours
+  const back = String(req.body.back || '').startsWith('/ui/home?') ? req.body.back : '/ui/home'
+  if (!await hasCourseRole(libraryId, { token: req.bbToken, userId: req.bbUserId })) {
+    console.warn('[access] denied', JSON.stringify({
+      at: new Date().toISOString(), user: req.bbUserId, source: libraryId, action: 'POST /ui/library/tags', reason: 'not library staff'
+    }))
+    return deniedPage(res, back)('Only staff of the library course can change its tags.')
+  }
+  try {
+    setTags(libraryId, rubricId, parseTags(req.body.tags), req.bbUserId)
+  } catch (err) {
+    return res.status(409).send(page('Tags not saved', `
+      <div class="card"><div class="alert alert-err">Tags could not be saved: ${esc(err.message)}</div>
+      <a class="btn" href="${esc(back)}">Back</a></div>`))
+  }
+  res.redirect(303, back)
+})
+
+// ── Step 1: Pick source course ────────────────────────────────────────────────
+
+router.get('/home', requireToken, async (req, res) => {
   const destCourseId = req.query.courseId || ''
   const err = req.query.err || ''
 
+  let courses = [], loadErr = ''
+  try {
+    courses = (await loadMyCourses(req)).filter(c => c.id !== destCourseId)
+  } catch (e) {
+    loadErr = `Could not load your courses (${explain(e)}). You can still enter a course identifier below.`
+  }
+  const library = await libraryCard(req, destCourseId)
+
   res.send(page('Rubric Transfer', `
     <div class="card">
       <h2>Rubric Transfer</h2>
-      <p class="sub">Copy rubrics from a source course into <code>${destCourseId}</code></p>
-      ${err ? `<div class="alert alert-err">${decodeURIComponent(err)}</div>` : ''}
+      <p class="sub">Copy rubrics from a source course into <code>${esc(destCourseId)}</code>
+        · <a href="/ui/push?courseId=${encodeURIComponent(destCourseId)}">push rubrics from this course to others instead</a></p>
+      ${err ? `<div class="alert alert-err">${esc(decodeURIComponent(err))}</div>` : ''}
+      ${loadErr ? `<div class="alert alert-err">${esc(loadErr)}</div>` : ''}
       <form method="GET" action="/ui/select-rubrics">
-        <input type="hidden" name="destId" value="${destCourseId}"/>
-        <label for="sourceId">Source course ID</label>
-        <input type="text" id="sourceId" name="sourceId"
-               placeholder="e.g. _123_1"/>
+        <input type="hidden" name="destId" value="${esc(destCourseId)}"/>
+        ${coursePicker(courses, 'radio', 'sourceId')}
+        <label for="sourceRef">Or enter a course identifier</label>
+        <input type="text" id="sourceRef" name="sourceRef"
+               placeholder="e.g. BIO101-F24, externalId:ABC, uuid:…, _123_1"/>
         <button class="btn" type="submit">Load rubrics →</button>
+        <button class="btn btn-ghost" type="submit" formaction="/ui/sync">Compare with copies here</button>
+      </form>
+    </div>
+    ${library}
+    <div class="card">
+      <h2>Import from a file</h2>
+      <p class="sub">A JSON export from this tool, a CSV / Excel file in the same layout as our CSV export,
+        or a Canvas (JSON / CSV), Moodle (rubric XML) or Common Cartridge (.imscc) rubric export</p>
+      <form method="POST" action="/ui/upload?destId=${encodeURIComponent(destCourseId)}" enctype="multipart/form-data">
+        <input type="file" name="file" accept=".json,.csv,.xlsx,.xml,.imscc,.zip" required/>
+        <div><button class="btn" type="submit">Preview file →</button></div>
       </form>
     </div>
   `))
@@ -77,21 +408,44 @@ router.get('/home', requireToken, (req, res) => {
 
 // ── Step 2: List rubrics from source course ───────────────────────────────────
 
-router.get('/select-rubrics', requireToken, async (req, res) => {
-  const { sourceId, destId } = req.query
+/**
+ * The source course picked on /ui/home — a ticked course or a typed
+ * identifier (courseId:/externalId:/uuid:, or a bare course code), resolved
+ * to the course record. On failure sends the user home with the reason and
+ * resolves to null.
+ */
+async function pickedCourse (req, res) {
+  const { destId } = req.query
+  const input = (req.query.sourceRef || '').trim() || req.query.sourceId
+  const home = (msg) => res.redirect(`/ui/home?courseId=${encodeURIComponent(destId || '')}&err=${encodeURIComponent(msg)}`)
 
-  if (!sourceId) {
-    return res.redirect(`/ui/home?courseId=${encodeURIComponent(destId || '')}&err=Please+enter+a+source+course+ID`)
+  if (!input) {
+    home('Please choose a source course')
+    return null
+  }
+  try {
+    return await getCourse(courseRef(input), req.bbToken)
+  } catch (err) {
+    home(err instanceof NotFoundError
+      ? `Course ${input} not found — check the ID and try again.`
+      : `Error looking up course: ${explain(err)}`)
+    return null
   }
+}
+
+router.get('/select-rubrics', requireToken, async (req, res) => {
+  const { destId } = req.query
+  const course = await pickedCourse(req, res)
+  if (!course) return
+  const sourceId = course.id
+  if (!await mayWriteTo(req, destId, deniedPage(res, '/ui/home'))) return
+  if (!await mayCopyFrom(req, sourceId, homeWithError(res, destId))) return
 
   let rubrics
   try {
     rubrics = await listRubrics(sourceId, req.bbToken)
   } catch (err) {
-    const msg = err.response?.status === 404
-      ? `Course ${sourceId} not found — check the ID and try again.`
-      : `Error loading rubrics: ${err.message}`
-    return res.redirect(`/ui/home?courseId=${encodeURIComponent(destId || '')}&err=${encodeURIComponent(msg)}`)
+    return res.redirect(`/ui/home?courseId=${encodeURIComponent(destId || '')}&err=${encodeURIComponent(`Error loading rubrics: ${explain(err)}`)}`)
   }
 
   const results = rubrics.results || []
@@ -99,82 +453,953 @@ router.get('/select-rubrics', requireToken, async (req, res) => {
     return res.redirect(`/ui/home?courseId=${encodeURIComponent(destId || '')}&err=No+rubrics+found+in+that+course`)
   }
 
-  const items = results.map(r => `
+  // Destination rubrics are only needed to flag same-titled ones — don't fail the page over them
+  let existing = new Map()
+  try {
+    existing = await loadExisting(destId, req.bbToken)
+  } catch (err) {
+    console.error('[ui] could not list destination rubrics:', err.message)
+  }
+
+  const items = results.map(r => {
+    const clash = existing.get(titleKey(r.title))
+    const previewUrl = `/ui/rubric-preview?${new URLSearchParams({
+      sourceId, rubricId: r.id, destId, ...(clash ? { existingId: clash.id } : {})
+    })}`
+    return `
     <li>
-      <input type="checkbox" name="rubricId" value="${r.id}" id="r_${r.id}"/>
-      <label for="r_${r.id}">${r.title || r.id} <span class="tag">${r.rubricType || ''}</span></label>
-    </li>`).join('')
+      <input type="checkbox" name="rubricId" value="${esc(r.id)}" id="r_${esc(r.id)}"/>
+      <label for="r_${esc(r.id)}">${esc(r.title || r.id)} <span class="tag">${esc(r.rubricType || '')}</span>
+        ${clash ? '<span class="tag">exists in destination</span>' : ''}</label>
+      ${clash ? `<select name="policy_${esc(r.id)}" aria-label="If it already exists">
+        ${Object.entries(CONFLICT_POLICIES).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}
+      </select>` : ''}
+      <details class="preview" data-url="${esc(previewUrl)}">
+        <summary>${clash ? 'Preview &amp; compare' : 'Preview'}</summary>
+        <div class="muted">Loading…</div>
+      </details>
+    </li>`
+  }).join('')
 
   res.send(page('Select Rubrics', `
     <div class="card">
       <h2>Select rubrics to copy</h2>
-      <p class="sub">From <code>${sourceId}</code> → into <code>${destId}</code></p>
+      <p class="sub">From <strong>${esc(course.name)}</strong> <code>${esc(course.courseId)}</code> → into <code>${esc(destId)}</code></p>
       <form method="POST" action="/ui/import">
-        <input type="hidden" name="sourceId" value="${sourceId}"/>
-        <input type="hidden" name="destId" value="${destId}"/>
+        <input type="hidden" name="sourceId" value="${esc(sourceId)}"/>
+        <input type="hidden" name="destId" value="${esc(destId)}"/>
         <ul class="rubric-list">${items}</ul>
+        ${results.some(r => existing.has(titleKey(r.title))) ? `
+        <label for="renameTemplate">Title for renamed copies</label>
+        <input type="text" id="renameTemplate" name="renameTemplate" value="${DEFAULT_RENAME}"/>
+        <p class="muted">Use <code>{title}</code> for the original title, e.g. <code>Copy of {title}</code>.</p>` : ''}
+        ${transformFields()}
+        <label style="font-weight:400"><input type="checkbox" name="carryAssociations" value="1" checked/>
+          Also attach the copies to the matching assignments and gradebook columns</label>
         <div>
           <button class="btn" type="submit">Import selected →</button>
+          <button class="btn btn-ghost" type="submit" formaction="/ui/stage">Review &amp; edit first</button>
           <a class="btn btn-ghost" href="/ui/home?courseId=${encodeURIComponent(destId)}">Back</a>
         </div>
+        <div class="filters" style="align-items:flex-end;margin-top:10px">
+          <div>
+            <label for="format">Or download the selected rubrics</label>
+            <select id="format" name="format">
+              ${Object.entries(EXPORTS).map(([k, v]) => `<option value="${k}">${v.label}</option>`).join('')}
+            </select>
+          </div>
+          <div><button class="btn btn-ghost" style="margin-left:0" type="submit" formaction="/ui/export">Export</button></div>
+        </div>
       </form>
     </div>
+    <script>
+      // Load each grid the first time it is opened, with the current score options
+      var previews = document.querySelectorAll('details.preview[data-url]')
+      var options = ['convertTo', 'rescaleTo', 'rounding'].map(function (id) { return document.getElementById(id) })
+      function load (d) {
+        d.dataset.loaded = '1'
+        var box = d.querySelector('div')
+        var query = options.map(function (el) { return el.name + '=' + encodeURIComponent(el.value) }).join('&')
+        fetch(d.dataset.url + '&' + query, { credentials: 'same-origin' })
+          .then(function (r) { return r.text() })
+          .then(function (html) { box.outerHTML = html })
+          .catch(function () { box.textContent = 'Could not load preview.'; delete d.dataset.loaded })
+      }
+      previews.forEach(function (d) {
+        d.addEventListener('toggle', function () {
+          if (d.open && !d.dataset.loaded) load(d)
+        })
+      })
+      // Changing the options refreshes open previews and invalidates the rest
+      options.forEach(function (el) {
+        el.addEventListener('change', function () {
+          previews.forEach(function (d) {
+            delete d.dataset.loaded
+            if (d.open) load(d)
+          })
+        })
+      })
+    </script>
   `))
 })
 
+/**
+ * GET /ui/rubric-preview?sourceId=&rubricId=&existingId=&destId=[&convertTo=&rescaleTo=&rounding=]
+ * HTML fragment with the read-only grid, side by side with the destination
+ * rubric of the same title when existingId is given. With score options the
+ * grid shows the values the copy will be created with.
+ */
+router.get('/rubric-preview', requireToken, async (req, res) => {
+  const { sourceId, rubricId, destId, existingId } = req.query
+  const transform = transformOptions(req.query)
+  const denied = (message) => res.status(403).send(`<div class="alert alert-err">${esc(message)}</div>`)
+  if (!await mayCopyFrom(req, sourceId, denied)) return
+  if (existingId && !await mayWriteTo(req, destId, denied)) return
+  try {
+    let source = await getRubric(sourceId, rubricId, req.bbToken)
+    let notes = ''
+    if (transform) {
+      const before = mapRubric(source).payload
+      const { payload, report } = mapRubric(source, transform)
+      notes = `<p class="muted">${esc(before.rubricType)}, ${maxScore(before)}${before.rubricType.startsWith('Percentage') ? '%' : ' points'}
+        → ${esc(payload.rubricType)}, ${maxScore(payload)}${payload.rubricType.startsWith('Percentage') ? '%' : ' points'}</p>
+        ${fidelityReport(report)}`
+      source = payload
+    }
+    if (!existingId) return res.send(`<div>${notes}${renderGrid(source)}</div>`)
+    const current = await getRubric(destId, existingId, req.bbToken)
+    res.send(`<div>${notes}${renderComparison(source, current)}</div>`)
+  } catch (err) {
+    res.status(502).send(`<div class="alert alert-err">Could not load rubric: ${esc(explain(err))}</div>`)
+  }
+})
+
 // ── Step 3: Import ────────────────────────────────────────────────────────────
 
 router.post('/import', requireToken, async (req, res) => {
   const { sourceId, destId } = req.body
-  const rubricIds = Array.isArray(req.body.rubricId)
-    ? req.body.rubricId
-    : req.body.rubricId ? [req.body.rubricId] : []
+  const rubricIds = asList(req.body.rubricId)
 
   if (rubricIds.length === 0) {
     return res.redirect(`/ui/select-rubrics?sourceId=${encodeURIComponent(sourceId)}&destId=${encodeURIComponent(destId)}`)
   }
+  if (!await mayWriteTo(req, destId, deniedPage(res, '/ui/home'))) return
+  if (!await mayCopyFrom(req, sourceId, deniedPage(res, `/ui/home?courseId=${encodeURIComponent(destId)}`))) return
+
+  const policies = {}
+  for (const rid of rubricIds) if (req.body[`policy_${rid}`]) policies[rid] = req.body[`policy_${rid}`]
+
+  const job = createJob({
+    userId: req.bbUserId,
+    sourceId,
+    destIds: [destId],
+    rubricIds,
+    policies,
+    carryAssociations: !!req.body.carryAssociations,
+    transform: transformOptions(req.body),
+    template: (req.body.renameTemplate || '').trim() || DEFAULT_RENAME
+  })
+  runJob(job, req.bbToken).catch(err => console.error('[jobs]', job.id, err.message))
+
+  res.redirect(303, `/ui/jobs/${job.id}`)
+})
+
+/**
+ * Same form as /import, but the mapped (and transformed) rubrics are held
+ * as a draft job so they can be reviewed and edited before anything is
+ * created — see /jobs/:id/preview and /jobs/:id/edit.
+ */
+router.post('/stage', requireToken, async (req, res) => {
+  const { sourceId, destId } = req.body
+  const rubricIds = asList(req.body.rubricId)
+  const back = `/ui/select-rubrics?sourceId=${encodeURIComponent(sourceId)}&destId=${encodeURIComponent(destId)}`
+  if (rubricIds.length === 0) return res.redirect(303, back)
+  if (!await mayWriteTo(req, destId, deniedPage(res, '/ui/home'))) return
+  if (!await mayCopyFrom(req, sourceId, deniedPage(res, `/ui/home?courseId=${encodeURIComponent(destId)}`))) return
+
+  const transform = transformOptions(req.body)
+  const payloads = [], reports = []
+  try {
+    for (const rid of rubricIds) {
+      const { payload, report } = mapRubric(await getRubric(sourceId, rid, req.bbToken), transform)
+      payloads.push(payload)
+      reports.push(report)
+    }
+  } catch (err) {
+    return res.status(502).send(page('Could not load rubrics', `
+      <div class="card"><div class="alert alert-err">Could not load the selected rubrics: ${esc(explain(err))}</div>
+      <a class="btn" href="${esc(back)}">Back</a></div>`))
+  }
+
+  const policies = {}
+  for (const rid of rubricIds) if (req.body[`policy_${rid}`]) policies[rid] = req.body[`policy_${rid}`]
+
+  const job = createJob({
+    userId: req.bbUserId,
+    sourceId,
+    destIds: [destId],
+    rubricIds,
+    payloads,
+    reports,
+    policies,
+    carryAssociations: !!req.body.carryAssociations,
+    transform,
+    template: (req.body.renameTemplate || '').trim() || DEFAULT_RENAME,
+    draft: true
+  })
+  res.redirect(303, `/ui/jobs/${job.id}/preview`)
+})
+
+// ── Export ────────────────────────────────────────────────────────────────────
+
+router.post('/export', requireToken, async (req, res) => {
+  const { sourceId, destId, format } = req.body
+  const rubricIds = asList(req.body.rubricId)
+  if (!EXPORTS[format] || rubricIds.length === 0) {
+    return res.redirect(303, `/ui/select-rubrics?sourceId=${encodeURIComponent(sourceId)}&destId=${encodeURIComponent(destId)}`)
+  }
+  if (!await mayCopyFrom(req, sourceId, deniedPage(res, `/ui/home?courseId=${encodeURIComponent(destId)}`))) return
+
+  try {
+    const course = await getCourse(sourceId, req.bbToken)
+    const rubrics = []
+    for (const rid of rubricIds) rubrics.push(await getRubric(sourceId, rid, req.bbToken))
+
+    const body = await exportRubrics(format, rubrics, { id: course.id, courseId: course.courseId, name: course.name })
+    const { type, ext } = EXPORTS[format]
+    const filename = `rubrics-${String(course.courseId || sourceId).replace(/[^\w.-]+/g, '_')}.${ext}`
+    res.set('Content-Type', type)
+    // The printable grid opens in the browser; everything else downloads
+    res.set('Content-Disposition', `${format === 'html' ? 'inline' : 'attachment'}; filename="${filename}"`)
+    res.send(body)
+  } catch (err) {
+    res.status(502).send(page('Export failed', `
+      <div class="card"><div class="alert alert-err">Export failed: ${esc(explain(err))}</div>
+      <a class="btn" href="/ui/select-rubrics?sourceId=${encodeURIComponent(sourceId)}&destId=${encodeURIComponent(destId)}">Back</a></div>`))
+  }
+})
 
-  const created = [], failed = []
+// ── Sync: source course → copies in this course ──────────────────────────────
 
-  for (const rid of rubricIds) {
+function changeTable (changes) {
+  const rows = changes.map(c => `
+    <tr>
+      <td><input type="checkbox" name="change" value="${esc(c.key)}" checked aria-label="Push this change"/></td>
+      <th>${esc(c.where)}</th><td>${esc(c.from)}</td><td>${esc(c.to)}</td>
+    </tr>`).join('')
+  return `<div class="grid-wrap"><table class="grid">
+    <thead><tr><th></th><th>What</th><th>In this course</th><th>In the source</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table></div>`
+}
+
+/**
+ * GET /ui/sync?destId=&sourceId=|sourceRef=
+ * Pairs each rubric in the source course with its copy in destId (remembered
+ * link, else same title) and lists what differs.
+ */
+router.get('/sync', requireToken, async (req, res) => {
+  const { destId } = req.query
+  const course = await pickedCourse(req, res)
+  if (!course) return
+  const sourceId = course.id
+  if (!await mayWriteTo(req, destId, deniedPage(res, '/ui/home'))) return
+  if (!await mayCopyFrom(req, sourceId, homeWithError(res, destId))) return
+
+  let sources, copies
+  try {
+    sources = (await listRubrics(sourceId, req.bbToken)).results || []
+    copies = (await listRubrics(destId, req.bbToken)).results || []
+  } catch (err) {
+    return res.redirect(`/ui/home?courseId=${encodeURIComponent(destId || '')}&err=${encodeURIComponent(`Error loading rubrics: ${explain(err)}`)}`)
+  }
+  const { pairs, unpaired } = pairRubrics(sources, copies, linksBetween(sourceId, destId))
+
+  const items = []
+  for (const { source, copy, by } of pairs) {
+    let changes
     try {
-      const srcRubric = await getRubric(sourceId, rid, req.bbToken)
-      const destRubric = await createRubric(destId, transformRubric(srcRubric), req.bbToken)
-      created.push({ title: destRubric.title || srcRubric.title, id: destRubric.id })
+      const [full, current] = await Promise.all([
+        getRubric(sourceId, source.id, req.bbToken),
+        getRubric(destId, copy.id, req.bbToken)
+      ])
+      changes = diffRubrics(full, current)
     } catch (err) {
-      failed.push({ id: rid, reason: err.response?.data?.message || err.message })
+      items.push(`<li><strong>${esc(source.title)}</strong>
+        <div class="alert alert-err" style="width:100%;margin:0">Could not compare: ${esc(explain(err))}</div></li>`)
+      continue
+    }
+    const label = `<strong>${esc(source.title)}</strong>${copy.title !== source.title ? ` → <strong>${esc(copy.title)}</strong>` : ''}
+      <span class="tag">${by === 'link' ? 'copied by this tool' : 'same title'}</span>`
+    if (!changes.length) {
+      items.push(`<li>${label} <span class="tag">in sync</span></li>`)
+      continue
     }
+    items.push(`
+    <li>${label} <span class="tag">${changes.length} difference(s)</span>
+      <details class="preview" open>
+        <summary>Differences</summary>
+        <form method="POST" action="/ui/sync/apply">
+          <input type="hidden" name="sourceId" value="${esc(sourceId)}"/>
+          <input type="hidden" name="destId" value="${esc(destId)}"/>
+          <input type="hidden" name="rubricId" value="${esc(source.id)}"/>
+          <input type="hidden" name="copyId" value="${esc(copy.id)}"/>
+          ${changeTable(changes)}
+          <button class="btn" type="submit">Update the copy with the ticked changes</button>
+        </form>
+      </details>
+    </li>`)
   }
 
-  const successItems = created.map(r =>
-    `<li>&#x2705; <strong>${r.title}</strong> <span class="tag">${r.id}</span></li>`).join('')
-  const failItems = failed.map(f =>
-    `<li>&#x274C; <code>${f.id}</code> — ${f.reason}</li>`).join('')
+  res.send(page('Compare Rubrics', `
+    <div class="card">
+      <h2>Compare rubrics</h2>
+      <p class="sub"><strong>${esc(course.name)}</strong> <code>${esc(course.courseId)}</code> → copies in <code>${esc(destId)}</code></p>
+      ${req.query.updated ? `<div class="alert alert-ok">Updated “${esc(req.query.updated)}”.</div>` : ''}
+      ${pairs.length ? `<ul class="rubric-list">${items.join('')}</ul>` : '<p class="muted">No rubric in the source course has a copy here.</p>'}
+      ${unpaired.length ? `
+      <p class="muted">Not copied here yet: ${unpaired.map(r => esc(r.title)).join(', ')} ·
+        <a href="/ui/select-rubrics?${new URLSearchParams({ sourceId, destId })}">copy them</a></p>` : ''}
+      <a class="btn btn-ghost" style="margin-left:0" href="/ui/home?courseId=${encodeURIComponent(destId)}">Back</a>
+    </div>
+  `))
+})
+
+/**
+ * Apply the ticked differences to the copy with a PATCH, so its id, grading
+ * associations and any grades made with it stay in place.
+ */
+router.post('/sync/apply', requireToken, async (req, res) => {
+  const { sourceId, destId, rubricId, copyId } = req.body
+  const back = `/ui/sync?${new URLSearchParams({ sourceId, destId })}`
+  const keys = asList(req.body.change)
+  if (!keys.length) return res.redirect(303, back)
+  if (!await mayWriteTo(req, destId, deniedPage(res, '/ui/home'))) return
+  if (!await mayCopyFrom(req, sourceId, deniedPage(res, `/ui/home?courseId=${encodeURIComponent(destId)}`))) return
+
+  const fail = (status, message) => res.status(status).send(page('Update failed', `
+    <div class="card"><div class="alert alert-err">${message}</div>
+    <a class="btn" href="${esc(back)}">Back</a></div>`))
+
+  let payload
+  try {
+    const [source, copy] = await Promise.all([
+      getRubric(sourceId, rubricId, req.bbToken),
+      getRubric(destId, copyId, req.bbToken)
+    ])
+    payload = applyChanges(source, copy, keys)
+  } catch (err) {
+    return fail(502, `Could not load the rubrics: ${esc(explain(err))}`)
+  }
+
+  const errors = validatePayload(payload)
+  if (errors.length) {
+    return fail(422, `Those changes would leave the copy invalid — tick the related changes too:
+      <ul>${errors.map(e => `<li>${esc(e)}</li>`).join('')}</ul>`)
+  }
+
+  try {
+    await updateRubric(destId, copyId, payload, req.bbToken)
+  } catch (err) {
+    return fail(502, `Could not update the copy: ${esc(explain(err))}`)
+  }
+  recordLink({ sourceId, rubricId, destId, copyId })
+  res.redirect(303, `${back}&updated=${encodeURIComponent(payload.title)}`)
+})
 
-  res.send(page('Import Complete', `
+// ── Push: launching course → many courses ────────────────────────────────────
+
+router.get('/push', requireToken, async (req, res) => {
+  const sourceId = req.query.courseId || ''
+  const err = req.query.err || ''
+  if (!await mayCopyFrom(req, sourceId, homeWithError(res, sourceId))) return
+
+  let rubrics
+  try {
+    rubrics = (await listRubrics(sourceId, req.bbToken)).results || []
+  } catch (e) {
+    return res.redirect(`/ui/home?courseId=${encodeURIComponent(sourceId)}&err=${encodeURIComponent(`Error loading rubrics: ${explain(e)}`)}`)
+  }
+  if (rubrics.length === 0) {
+    return res.redirect(`/ui/home?courseId=${encodeURIComponent(sourceId)}&err=This+course+has+no+rubrics+to+push`)
+  }
+
+  let courses = [], loadErr = ''
+  try {
+    courses = (await loadMyCourses(req)).filter(c => c.id !== sourceId)
+  } catch (e) {
+    loadErr = `Could not load your courses (${explain(e)}). You can still enter course identifiers below.`
+  }
+
+  const items = rubrics.map(r => `
+    <li>
+      <input type="checkbox" name="rubricId" value="${esc(r.id)}" id="r_${esc(r.id)}" checked/>
+      <label for="r_${esc(r.id)}">${esc(r.title || r.id)} <span class="tag">${esc(r.rubricType || '')}</span></label>
+    </li>`).join('')
+
+  res.send(page('Push Rubrics', `
     <div class="card">
-      <h2>Import complete</h2>
-      <p class="sub">Results for <code>${destId}</code></p>
-      ${created.length ? `<div class="alert alert-ok">${created.length} rubric(s) imported successfully.</div><ul class="rubric-list">${successItems}</ul>` : ''}
-      ${failed.length ? `<div class="alert alert-err">${failed.length} failed.</div><ul class="rubric-list">${failItems}</ul>` : ''}
-      <a class="btn" href="/ui/home?courseId=${encodeURIComponent(destId)}">Transfer more</a>
+      <h2>Push rubrics to other courses</h2>
+      <p class="sub">Copy rubrics from <code>${esc(sourceId)}</code> into each course you select</p>
+      ${err ? `<div class="alert alert-err">${esc(decodeURIComponent(err))}</div>` : ''}
+      ${loadErr ? `<div class="alert alert-err">${esc(loadErr)}</div>` : ''}
+      <form method="POST" action="/ui/push">
+        <input type="hidden" name="sourceId" value="${esc(sourceId)}"/>
+        <label>Rubrics</label>
+        <ul class="rubric-list">${items}</ul>
+        <label>Destination courses</label>
+        ${coursePicker(courses, 'checkbox', 'destId')}
+        <label for="destRefs">Or enter course identifiers, one per line</label>
+        <textarea id="destRefs" name="destRefs" rows="4"
+                  placeholder="BIO101-S01&#10;externalId:BIO101.2025.02&#10;_456_1"></textarea>
+        <label for="defaultPolicy">If a rubric with the same title already exists</label>
+        <select id="defaultPolicy" name="defaultPolicy">
+          ${Object.entries(CONFLICT_POLICIES).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}
+        </select>
+        <label for="renameTemplate">Title for renamed copies</label>
+        <input type="text" id="renameTemplate" name="renameTemplate" value="${DEFAULT_RENAME}"/>
+        <label style="font-weight:400"><input type="checkbox" name="carryAssociations" value="1" checked/>
+          Also attach the copies to the matching assignments and gradebook columns</label>
+        <div>
+          <button class="btn" type="submit">Push to selected courses →</button>
+          <a class="btn btn-ghost" href="/ui/home?courseId=${encodeURIComponent(sourceId)}">Back</a>
+        </div>
+      </form>
     </div>
   `))
 })
 
-function transformRubric (src) {
-  return {
-    title: src.title || 'Imported Rubric',
-    description: src.description || '',
-    rubricType: src.rubricType || 'Points',
-    rows: (src.rows || []).map(row => ({
-      title: row.title,
-      cells: (row.cells || []).map(cell => ({
-        description: cell.description,
-        points: cell.points
-      }))
-    }))
+router.post('/push', requireToken, async (req, res) => {
+  const { sourceId } = req.body
+  const back = (msg) => res.redirect(303, `/ui/push?courseId=${encodeURIComponent(sourceId)}&err=${encodeURIComponent(msg)}`)
+
+  const rubricIds = asList(req.body.rubricId)
+  const refs = [
+    ...asList(req.body.destId),
+    ...String(req.body.destRefs || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean).map(courseRef)
+  ]
+  if (!rubricIds.length) return back('Select at least one rubric')
+  if (!refs.length) return back('Select at least one destination course')
+  if (!await mayCopyFrom(req, sourceId, homeWithError(res, sourceId))) return
+
+  // Resolve every destination up front so typos fail here, not mid-job
+  const resolved = await Promise.all(refs.map(ref =>
+    getCourse(ref, req.bbToken).then(course => ({ ref, course }), err => ({ ref, err }))))
+  const missing = resolved.filter(r => r.err).map(r => r.ref.replace(/^courseId:/, ''))
+  if (missing.length) return back(`Course(s) not found: ${missing.join(', ')}`)
+
+  const courseNames = {}
+  for (const { course } of resolved) if (course.id !== sourceId) courseNames[course.id] = course.name
+  const destIds = Object.keys(courseNames)
+  if (!destIds.length) return back('Select at least one course other than this one')
+  const refused = []
+  await Promise.all(destIds.map(id => mayWriteTo(req, id, () => refused.push(courseNames[id]))))
+  if (refused.length) return back(`You don't teach: ${refused.join(', ')}`)
+
+  const job = createJob({
+    userId: req.bbUserId,
+    mode: 'push',
+    sourceId,
+    destIds,
+    courseNames,
+    rubricIds,
+    defaultPolicy: CONFLICT_POLICIES[req.body.defaultPolicy] ? req.body.defaultPolicy : 'skip',
+    carryAssociations: !!req.body.carryAssociations,
+    template: (req.body.renameTemplate || '').trim() || DEFAULT_RENAME
+  })
+  runJob(job, req.bbToken).catch(err => console.error('[jobs]', job.id, err.message))
+
+  res.redirect(303, `/ui/jobs/${job.id}`)
+})
+
+// ── Import from a file ────────────────────────────────────────────────────────
+
+/**
+ * upload.single('file'), with multer's errors — a file over the limit, a
+ * broken multipart body — sent back to the home page rather than a 500
+ */
+function receiveFile (req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next()
+    const message = err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE'
+      ? `File is larger than ${UPLOAD_LIMIT_MB} MB`
+      : `Upload failed: ${err.message}`
+    homeWithError(res, req.query.destId)(message)
+  })
+}
+
+// destId comes in the query string: the session is checked before the body is read
+router.post('/upload', requireToken, receiveFile, async (req, res) => {
+  const destId = String(req.query.destId || '')
+  if (!await mayWriteTo(req, destId, deniedPage(res, '/ui/home'))) return
+  if (!req.file) {
+    return res.redirect(303, `/ui/home?courseId=${encodeURIComponent(destId)}&err=Choose+a+file+to+upload`)
+  }
+
+  let parsed
+  try {
+    parsed = await parseUpload(req.file.originalname, req.file.buffer)
+  } catch (err) {
+    console.error('[ui] could not parse upload:', req.file.originalname, err.message)
+    parsed = { rubrics: [], errors: [{ where: 'file', message: `Could not read the file: ${err.message}` }], warnings: [] }
+  }
+  const { rubrics, errors, warnings } = parsed
+  if (errors.length) {
+    const rows = errors.map(e => `<tr><td>${esc(e.where)}</td><td>${esc(e.message)}</td></tr>`).join('')
+    return res.status(422).send(page('File has errors', `
+      <div class="card">
+        <h2>${esc(req.file.originalname)} could not be imported</h2>
+        <div class="alert alert-err">${errors.length} problem(s) found. Fix them and upload the file again.</div>
+        <div class="grid-wrap"><table class="grid">
+          <thead><tr><th>Where</th><th>Problem</th></tr></thead><tbody>${rows}</tbody>
+        </table></div>
+        <a class="btn" href="/ui/home?courseId=${encodeURIComponent(destId)}">Back</a>
+      </div>`))
+  }
+
+  // Held as a draft job until the instructor confirms the preview
+  const job = createJob({
+    userId: req.bbUserId,
+    mode: 'file',
+    destIds: [destId],
+    payloads: rubrics,
+    warnings,
+    draft: true
+  })
+  res.redirect(303, `/ui/jobs/${job.id}/preview`)
+})
+
+router.get('/jobs/:id/preview', requireToken, async (req, res) => {
+  const job = ownJob(req, res)
+  if (!job) return
+  if (job.status !== 'draft') return res.redirect(`/ui/jobs/${job.id}`)
+  const destId = job.destIds[0]
+
+  let existing = new Map()
+  try {
+    existing = await loadExisting(destId, req.bbToken)
+  } catch (err) {
+    console.error('[ui] could not list destination rubrics:', err.message)
+  }
+  const clashes = job.items.filter(i => existing.has(titleKey(i.payload.title))).length
+  const invalid = job.items.filter(i => validatePayload(i.payload).length).length
+
+  const items = job.items.map(i => {
+    const problems = validatePayload(i.payload)
+    return `
+    <li>
+      <strong>${esc(i.payload.title)}</strong> <span class="tag">${esc(i.payload.rubricType)}</span>
+      ${existing.has(titleKey(i.payload.title)) ? '<span class="tag">exists in destination</span>' : ''}
+      <a href="/ui/jobs/${job.id}/edit?rubric=${encodeURIComponent(i.rubricId)}">Edit</a>
+      ${problems.length ? `<div class="alert alert-err" style="width:100%;margin:0">
+        <ul>${problems.map(p => `<li>${esc(p)}</li>`).join('')}</ul></div>` : ''}
+      <details class="preview"><summary>Preview</summary>${renderGrid(i.payload)}</details>
+    </li>`
+  }).join('')
+
+  res.send(page('Preview Import', `
+    <div class="card">
+      <h2>Preview ${job.items.length} rubric(s)</h2>
+      <p class="sub">Will be created in <code>${esc(destId)}</code></p>
+      ${job.warnings?.length ? `
+      <div class="alert alert-err">${job.warnings.length} thing(s) could not be converted exactly:
+        <ul>${job.warnings.map(w => `<li><strong>${esc(w.where)}</strong> — ${esc(w.message)}</li>`).join('')}</ul>
+      </div>` : ''}
+      <form method="POST" action="/ui/jobs/${job.id}/start">
+        <input type="hidden" name="destId" value="${esc(destId)}"/>
+        <ul class="rubric-list">${items}</ul>
+        ${clashes ? `
+        <div class="alert alert-err">${clashes} rubric title(s) already exist in this course.</div>
+        <label for="defaultPolicy">If a rubric with the same title already exists</label>
+        <select id="defaultPolicy" name="defaultPolicy">
+          ${Object.entries(CONFLICT_POLICIES).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}
+        </select>
+        <label for="renameTemplate">Title for renamed copies</label>
+        <input type="text" id="renameTemplate" name="renameTemplate" value="${DEFAULT_RENAME}"/>` : ''}
+        ${invalid ? `<div class="alert alert-err">${invalid} rubric(s) need fixing before they can be created.</div>` : ''}
+        <div>
+          <button class="btn" type="submit"${invalid ? ' disabled' : ''}>Create rubrics →</button>
+          <a class="btn btn-ghost" href="/ui/home?courseId=${encodeURIComponent(destId)}">Cancel</a>
+        </div>
+      </form>
+    </div>
+  `))
+})
+
+/**
+ * GET/POST /ui/jobs/:id/edit?rubric=<item rubricId>
+ * Edit one staged rubric. Posts carry an op (see rubrics/editor.js); only
+ * "save" writes the edited payload back to the draft, and only when valid.
+ */
+function draftItem (req, res) {
+  const job = ownJob(req, res)
+  if (!job) return {}
+  if (job.status !== 'draft') {
+    res.redirect(303, `/ui/jobs/${job.id}`)
+    return {}
+  }
+  const item = job.items.find(i => i.rubricId === req.query.rubric)
+  if (!item) {
+    res.redirect(303, `/ui/jobs/${job.id}/preview`)
+    return {}
+  }
+  return { job, item }
+}
+
+const editPage = (job, item, payload, errors) => page(`Edit ${payload.title || 'rubric'}`, `
+  <div class="card">
+    <h2>Edit rubric</h2>
+    <p class="sub">Changes are only made to the copy that will be created in <code>${esc(job.destIds[0])}</code></p>
+    ${renderEditor(payload, `/ui/jobs/${job.id}/edit?rubric=${encodeURIComponent(item.rubricId)}`, errors)}
+  </div>`)
+
+router.get('/jobs/:id/edit', requireToken, (req, res) => {
+  const { job, item } = draftItem(req, res)
+  if (!job) return
+  res.send(editPage(job, item, dense(item.payload), []))
+})
+
+router.post('/jobs/:id/edit', requireToken, (req, res) => {
+  const { job, item } = draftItem(req, res)
+  if (!job) return
+  const preview = `/ui/jobs/${job.id}/preview`
+  const op = req.body.op || 'check'
+  if (op === 'cancel') return res.redirect(303, preview)
+
+  const payload = parseEditor(req.body, item.payload.rubricType)
+  if (op !== 'save') {
+    applyOp(payload, op)
+    return res.send(editPage(job, item, payload, op === 'check' ? validatePayload(payload) : []))
+  }
+
+  const errors = validatePayload(payload)
+  if (errors.length) return res.status(422).send(editPage(job, item, payload, errors))
+  for (const i of job.items) if (i.rubricId === item.rubricId) i.payload = payload
+  saveJob(job)
+  res.redirect(303, preview)
+})
+
+router.post('/jobs/:id/start', requireToken, (req, res) => {
+  const job = ownJob(req, res)
+  if (!job) return
+  if (job.status === 'draft' && job.items.some(i => validatePayload(i.payload).length)) {
+    return res.redirect(303, `/ui/jobs/${job.id}/preview`)
+  }
+  if (job.status === 'draft') {
+    if (CONFLICT_POLICIES[req.body.defaultPolicy]) job.defaultPolicy = req.body.defaultPolicy
+    job.template = (req.body.renameTemplate || '').trim() || DEFAULT_RENAME
+    runJob(job, req.bbToken).catch(err => console.error('[jobs]', job.id, err.message))
+  }
+  res.redirect(303, `/ui/jobs/${job.id}`)
+})
+
+// ── Job status ────────────────────────────────────────────────────────────────
+
+const ICONS = {
+  created: '&#x2705;', renamed: '&#x2705;', overwritten: '&#x267B;&#xFE0F;',
+  skipped: '&#x23ED;&#xFE0F;', failed: '&#x274C;', pending: '&#x23F3;', running: '&#x23F3;'
+}
+
+function outcomeItem (o) {
+  return o.action === 'failed'
+    ? `<li>${ICONS.failed} <code>${esc(o.id)}</code> — ${esc(o.reason)} <span class="tag">failed</span></li>`
+    : `<li>${ICONS[o.action]} <strong>${esc(o.title)}</strong> <span class="tag">${o.action}</span> <span class="tag">${esc(o.id)}</span>
+        ${fidelityReport(o.report)}</li>`
+}
+
+function outcomeSummary (outcomes) {
+  const count = (...actions) => outcomes.filter(o => actions.includes(o.action)).length
+  const done = count('created', 'renamed', 'overwritten')
+  const skipped = count('skipped')
+  const failed = count('failed')
+  return `
+    ${done ? `<div class="alert alert-ok">${done} rubric(s) imported successfully.</div>` : ''}
+    ${skipped ? `<div class="alert alert-ok">${skipped} skipped because the title already exists.</div>` : ''}
+    ${failed ? `<div class="alert alert-err">${failed} failed.</div>` : ''}`
+}
+
+function itemList (items) {
+  return `<ul class="rubric-list">${items.map(i => i.result
+    ? outcomeItem(i.result)
+    : `<li>${ICONS[i.status] || ICONS.pending} <code>${esc(i.rubricId)}</code> <span class="tag">${i.status}</span></li>`
+  ).join('')}</ul>`
+}
+
+/** The live part of the job page — re-rendered on every poll */
+function jobProgress (job) {
+  const waiting = job.items.filter(i => i.status === 'pending' || i.status === 'running')
+  const finished = job.items.length - waiting.length
+  const outcomesOf = (items) => items.filter(i => i.result).map(i => i.result)
+
+  // Push jobs are grouped by destination course
+  const body = job.mode === 'push'
+    ? job.destIds.map(destId => {
+      const items = job.items.filter(i => i.destId === destId)
+      const outcomes = outcomesOf(items)
+      const ok = outcomes.filter(o => o.action !== 'failed').length
+      return `<details class="preview" ${outcomes.some(o => o.action === 'failed') ? 'open' : ''}>
+        <summary><strong>${esc(job.courseNames[destId] || destId)}</strong> <code>${esc(destId)}</code>
+          — ${ok} of ${items.length} ok</summary>
+        ${outcomeSummary(outcomes)}${itemList(items)}
+      </details>`
+    }).join('')
+    : outcomeSummary(outcomesOf(job.items)) + itemList(job.items)
+
+  return `
+    <p class="muted">${finished} of ${job.items.length} rubric(s) processed</p>
+    ${job.error ? `<div class="alert alert-err">${esc(job.error)}</div>` : ''}
+    ${body}`
+}
+
+const isLive = (job) => job.status === 'queued' || job.status === 'running'
+
+/** Load a job the current user owns, or send a 404 */
+function ownJob (req, res) {
+  const job = getJob(req.params.id)
+  if (!job || !req.bbUserId || job.userId !== req.bbUserId) {
+    res.status(404).send(page('Import not found', `
+      <div class="card"><div class="alert alert-err">That import could not be found.</div></div>`))
+    return null
+  }
+  return job
+}
+
+router.get('/jobs/:id', requireToken, async (req, res) => {
+  const job = ownJob(req, res)
+  if (!job) return
+  if (job.status === 'draft') return res.redirect(`/ui/jobs/${job.id}/preview`)
+  const { homeId } = job
+
+  // Once the rubrics exist, work out where their associations should go
+  if (!isLive(job) && job.carryAssociations && !job.associations) {
+    try {
+      await planAssociations(job, req.bbToken)
+    } catch (err) {
+      job.associations = { status: 'error', error: explain(err), proposals: [], errors: [], columns: {}, results: [] }
+    }
+    saveJob(job)
+  }
+
+  const resumable = job.status === 'failed' || job.status === 'interrupted'
+  const target = job.mode === 'push'
+    ? `${job.destIds.length} course(s)`
+    : `<code>${esc(job.destIds[0])}</code>`
+  const t = job.transform
+  const scores = t ? [
+    t.convertTo && `converted to ${t.convertTo}`,
+    t.rescaleTo && `rescaled to ${t.rescaleTo} points`,
+    t.rounding && `rounded to ${ROUNDING[t.rounding].label.toLowerCase()}`
+  ].filter(Boolean).join(', ') : ''
+
+  res.send(page(isLive(job) ? 'Importing…' : 'Import Complete', `
+    <div class="card">
+      <h2 id="heading">${isLive(job) ? 'Importing rubrics…' : job.status === 'complete' ? 'Import complete' : 'Import finished with problems'}</h2>
+      <p class="sub">Results for ${target}${scores ? ` · scores ${esc(scores)}` : ''}</p>
+      <div id="progress">${jobProgress(job)}</div>
+      ${resumable ? `
+      <form method="POST" action="/ui/jobs/${job.id}/resume" style="display:inline">
+        <input type="hidden" name="destId" value="${esc(homeId)}"/>
+        <button class="btn" type="submit">Retry failed rubrics</button>
+      </form>` : ''}
+      <a class="btn ${resumable ? 'btn-ghost' : ''}" href="/ui/home?courseId=${encodeURIComponent(homeId)}">Transfer more</a>
+    </div>
+    ${isLive(job) ? '' : associationsCard(job)}
+    ${isLive(job) ? '' : undoForm(req, job)}
+    ${isLive(job) ? `<script>
+      (function poll () {
+        setTimeout(function () {
+          fetch('/ui/jobs/${job.id}/progress', { credentials: 'same-origin' })
+            .then(function (r) { return r.json() })
+            .then(function (p) {
+              document.getElementById('progress').innerHTML = p.html
+              if (p.live) return poll()
+              location.reload()
+            })
+            .catch(poll)
+        }, 1500)
+      })()
+    </script>` : ''}
+  `))
+})
+
+router.get('/jobs/:id/progress', requireToken, (req, res) => {
+  const job = getJob(req.params.id)
+  if (!job || !req.bbUserId || job.userId !== req.bbUserId) return res.status(404).json({ error: 'not found' })
+  res.json({ status: job.status, live: isLive(job), html: jobProgress(job) })
+})
+
+router.post('/jobs/:id/resume', requireToken, (req, res) => {
+  const job = ownJob(req, res)
+  if (!job) return
+  if (!isLive(job)) runJob(job, req.bbToken).catch(err => console.error('[jobs]', job.id, err.message))
+  res.redirect(303, `/ui/jobs/${job.id}`)
+})
+
+// ── Associations ──────────────────────────────────────────────────────────────
+
+/** Proposed matches (editable) before they are applied, the outcome after */
+function associationsCard (job) {
+  const plan = job.associations
+  if (!plan) return ''
+  const courseLabel = (destId) => job.mode === 'push' ? ` <code>${esc(job.courseNames[destId] || destId)}</code>` : ''
+  const problems = plan.error
+    ? `<div class="alert alert-err">Could not read associations: ${esc(plan.error)}</div>`
+    : plan.errors.map(e => `<div class="alert alert-err">${esc(e)}</div>`).join('')
+
+  if (plan.status === 'done') {
+    const ICON = { associated: ICONS.created, skipped: ICONS.skipped, failed: ICONS.failed }
+    const items = plan.results.map(r => `<li>${ICON[r.status]} <strong>${esc(r.rubricTitle)}</strong>${courseLabel(r.destId)}
+      → ${r.to ? esc(r.to) : `<span class="muted">not attached (was “${esc(r.from)}”)</span>`}
+      <span class="tag">${r.status}</span>${r.reason ? ` <span class="muted">${esc(r.reason)}</span>` : ''}</li>`).join('')
+    const ok = plan.results.filter(r => r.status === 'associated').length
+    return `
+    <div class="card">
+      <h2>Associations</h2>
+      <p class="sub">${ok} of ${plan.results.length} association(s) created</p>
+      ${problems}
+      <ul class="rubric-list">${items}</ul>
+    </div>`
   }
+
+  if (!plan.proposals.length) {
+    return `
+    <div class="card">
+      <h2>Associations</h2>
+      <p class="sub">None of the copied rubrics were attached to gradable items in the source course.</p>
+      ${problems}
+    </div>`
+  }
+
+  const rows = plan.proposals.map((p, i) => {
+    const options = (plan.columns[p.destId] || []).map(c =>
+      `<option value="${esc(c.id)}" ${c.id === p.match ? 'selected' : ''}>${esc(c.name)}</option>`).join('')
+    return `<tr>
+      <td><strong>${esc(p.rubricTitle)}</strong>${courseLabel(p.destId)}</td>
+      <td>${esc(p.source.name)}</td>
+      <td><select name="assoc_${i}"><option value="">— don't attach —</option>${options}</select>
+        ${p.matchedBy ? `<span class="muted">matched by ${p.matchedBy}</span>` : '<span class="muted">no match found</span>'}</td>
+    </tr>`
+  }).join('')
+
+  return `
+    <div class="card">
+      <h2>Attach to gradable items</h2>
+      <p class="sub">In the source course these rubrics are attached to the items below. Check the matches, then attach.</p>
+      ${problems}
+      <form method="POST" action="/ui/jobs/${job.id}/associations">
+        <input type="hidden" name="destId" value="${esc(job.homeId)}"/>
+        <div class="grid-wrap"><table class="grid">
+          <thead><tr><th>Rubric</th><th>Source item</th><th>Destination item</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table></div>
+        <button class="btn" type="submit">Attach rubrics</button>
+      </form>
+    </div>`
+}
+
+router.post('/jobs/:id/associations', requireToken, async (req, res) => {
+  const job = ownJob(req, res)
+  if (!job) return
+  if (job.associations?.status === 'planned') {
+    const choices = job.associations.proposals.map((_, i) => req.body[`assoc_${i}`] ?? '')
+    await applyAssociations(job, choices, req.bbToken)
+    saveJob(job)
+  }
+  res.redirect(303, `/ui/jobs/${job.id}`)
+})
+
+// ── Undo ──────────────────────────────────────────────────────────────────────
+
+const UNDO_TTL = 8 * 3600_000
+
+/**
+ * The results page carries a signed receipt of the rubrics this run created
+ * (not the ones it overwrote — those can't be restored), each with the
+ * gradebook columns the run itself attached it to. Stateless, like the
+ * session cookie, so it survives restarts and multiple instances.
+ */
+function undoForm (req, job) {
+  const { homeId, items } = job
+  const attached = (job.associations?.results || []).filter(a => a.status === 'associated')
+  const created = items
+    .filter(i => i.result && (i.result.action === 'created' || i.result.action === 'renamed'))
+    .map(i => ({
+      destId: i.destId,
+      id: i.result.id,
+      columns: attached.filter(a => a.destId === i.destId && a.rubricId === i.result.id).map(a => a.columnId)
+    }))
+  if (!created.length) return ''
+  const receipt = signCookie({ kind: 'undo', homeId, created, userId: req.bbUserId, exp: Date.now() + UNDO_TTL })
+  return `
+    <div class="card">
+      <h2>Imported the wrong rubrics?</h2>
+      <p class="sub">Deletes the ${created.length} rubric(s) this import created. Rubrics already used for grading are kept.</p>
+      <form method="POST" action="/ui/undo" onsubmit="return confirm('Delete the rubrics created by this import?')">
+        <input type="hidden" name="destId" value="${esc(homeId)}"/>
+        <input type="hidden" name="receipt" value="${esc(receipt)}"/>
+        <button class="btn btn-ghost" style="margin-left:0" type="submit">Undo this import</button>
+      </form>
+    </div>`
 }
 
+/** The receipt's { homeId, created } if it is a valid undo receipt for this user, else null */
+function readReceipt (value, userId) {
+  const receipt = verifyCookie(value)
+  // Anything signed with the cookie secret verifies — the session cookie too — so check what it is
+  if (!receipt || receipt.kind !== 'undo' || !userId || receipt.userId !== userId) return null
+  const { homeId, created } = receipt
+  if (!Array.isArray(created) || !created.every(c => typeof c?.destId === 'string' && typeof c?.id === 'string')) return null
+  return { homeId: String(homeId || ''), created: created.map(c => ({ ...c, columns: Array.isArray(c.columns) ? c.columns : [] })) }
+}
+
+router.post('/undo', requireToken, async (req, res) => {
+  const back = `/ui/home?courseId=${encodeURIComponent(req.body.destId || '')}`
+  const receipt = readReceipt(req.body.receipt, req.bbUserId)
+  if (!receipt) {
+    return res.status(400).send(page('Undo', `
+      <div class="card"><div class="alert alert-err">This undo link has expired or is invalid.</div>
+      <a class="btn" href="${esc(back)}">Back</a></div>`))
+  }
+  const { homeId, created } = receipt
+
+  try {
+    const outcomes = []
+    for (const { destId, id, columns } of created) {
+      try {
+        // Associations this import carried over don't count — only ones made since
+        const assoc = (await listRubricAssociations(destId, id, req.bbToken)).results || []
+        if (assoc.some(a => !columns.includes((a.associationEntity || a).gradebookColumnId))) {
+          outcomes.push({ destId, id, action: 'kept', reason: 'Already associated with graded work' })
+          continue
+        }
+        await deleteRubric(destId, id, req.bbToken)
+        outcomes.push({ destId, id, action: 'deleted' })
+      } catch (err) {
+        const action = err instanceof NotFoundError ? 'gone' : 'failed'
+        outcomes.push({ destId, id, action, reason: action === 'gone' ? 'Already deleted' : explain(err) })
+      }
+    }
+
+    const items = outcomes.map(o => `<li><code>${esc(o.destId)}</code> / <code>${esc(o.id)}</code> <span class="tag">${o.action}</span>
+      ${o.reason ? `<span class="muted">${esc(o.reason)}</span>` : ''}</li>`).join('')
+    const deleted = outcomes.filter(o => o.action === 'deleted').length
+    const kept = outcomes.filter(o => o.action === 'kept' || o.action === 'failed').length
+
+    res.send(page('Import Undone', `
+      <div class="card">
+        <h2>Undo complete</h2>
+        ${deleted ? `<div class="alert alert-ok">${deleted} rubric(s) deleted.</div>` : ''}
+        ${kept ? `<div class="alert alert-err">${kept} rubric(s) not deleted.</div>` : ''}
+        <ul class="rubric-list">${items}</ul>
+        <a class="btn" href="/ui/home?courseId=${encodeURIComponent(homeId)}">Back to Rubric Transfer</a>
+      </div>
+    `))
+  } catch (err) {
+    console.error('[ui] undo failed:', err.message)
+    res.status(500).send(page('Undo failed', `
+      <div class="card"><div class="alert alert-err">Undo failed: ${esc(explain(err))}</div>
+      <a class="btn" href="${esc(back)}">Back</a></div>`))
+  }
+})
+
 module.exports = router
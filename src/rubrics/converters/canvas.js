@@ -0,0 +1,129 @@
+/**
+ * Canvas rubrics → Learn payloads.
+ *
+ * Reads the rubric JSON returned by the Canvas API (a rubric, an array of
+ * them, or { rubric }), the Canvas rubric CSV export (one line per
+ * criterion with repeating Rating Name / Rating Description / Rating Points
+ * columns) and the rubrics.xml a Canvas Common Cartridge export carries.
+ */
+
+const { criteriaToPayload, num } = require('./criteria')
+
+const asArray = (v) => v == null ? [] : Array.isArray(v) ? v : [v]
+const truthy = (v) => v === true || v === 'true'
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+const text = (v) => typeof v === 'string' || typeof v === 'number' ? String(v) : ''
+
+/**
+ * One Canvas rubric object (API JSON or normalised XML) → payload. Criteria
+ * and ratings that aren't objects are reported in errors and left out.
+ */
+function fromCanvasRubric (rubric, where, warnings, errors) {
+  const warn = (message) => warnings.push({ where, message })
+  if (truthy(rubric.free_form_criterion_comments)) {
+    warn('Free-form comments replace ratings in this Canvas rubric — Blackboard has no free-form criteria')
+  }
+  if (truthy(rubric.hide_score_total)) warn('"Hide score total" has no Blackboard equivalent')
+
+  const criteria = asArray(rubric.data || rubric.criteria).flatMap((c, i) => {
+    if (!isObject(c)) {
+      errors.push({ where, message: `Criterion ${i + 1} is not an object` })
+      return []
+    }
+    if (c.learning_outcome_id) warn(`Criterion "${c.description}": the linked learning outcome was not carried over`)
+    if (truthy(c.ignore_for_scoring)) warn(`Criterion "${c.description}" is excluded from scoring in Canvas — Blackboard always counts it`)
+    return {
+      title: c.description,
+      description: c.long_description,
+      useRange: truthy(c.criterion_use_range),
+      ratings: asArray(c.ratings).flatMap((r, j) => {
+        if (isObject(r)) return [{ title: text(r.description), description: text(r.long_description), points: r.points }]
+        errors.push({ where, message: `Criterion "${c.description}": rating ${j + 1} is not an object` })
+        return []
+      })
+    }
+  })
+
+  return criteriaToPayload({ title: rubric.title, description: rubric.description, criteria }, where, warnings)
+}
+
+/** Canvas API JSON in any of the shapes it is usually saved in */
+function fromCanvasJSON (doc, warnings, errors) {
+  const rubrics = Array.isArray(doc) ? doc : doc.rubric ? [doc.rubric] : [doc]
+  return rubrics.flatMap((r, i) => {
+    if (isObject(r)) return [fromCanvasRubric(r, `Canvas rubric ${i + 1} "${r.title || ''}"`, warnings, errors)]
+    errors.push({ where: `Canvas rubric ${i + 1}`, message: 'Not an object' })
+    return []
+  })
+}
+
+const isCanvasJSON = (doc) => {
+  const first = Array.isArray(doc) ? doc[0] : doc?.rubric || doc
+  return !!first && (Array.isArray(first.data) || Array.isArray(first.criteria)) && 'title' in first
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+const isCanvasCSVHeader = (header) => {
+  const h = header.map(x => String(x).trim().toLowerCase())
+  return h.includes('rubric name') && h.includes('criteria name') && h.includes('rating points')
+}
+
+/** records: [{ line, fields }] from parseCSV, header first */
+function fromCanvasCSV (records, warnings, errors) {
+  const header = records[0].fields.map(x => String(x).trim().toLowerCase())
+  const col = (name) => header.indexOf(name)
+  const ratingStarts = header.map((h, i) => h === 'rating name' ? i : -1).filter(i => i >= 0)
+
+  const groups = new Map()
+  for (const rec of records.slice(1)) {
+    const f = rec.fields
+    const rubricName = (f[col('rubric name')] || '').trim()
+    const critName = (f[col('criteria name')] || '').trim()
+    if (!rubricName || !critName) {
+      errors.push({ where: `line ${rec.line}`, message: 'Missing Rubric Name or Criteria Name' })
+      continue
+    }
+    const ratings = []
+    for (const at of ratingStarts) {
+      const [title, description, points] = [f[at], f[at + 1], f[at + 2]]
+      if (!String(title || '').trim() && !String(description || '').trim() && !String(points || '').trim()) continue
+      if (String(points || '').trim() && num(points) == null) {
+        errors.push({ where: `line ${rec.line}`, message: `Rating points "${points}" is not a number` })
+      }
+      ratings.push({ title, description, points })
+    }
+    if (!groups.has(rubricName)) groups.set(rubricName, { line: rec.line, criteria: [] })
+    groups.get(rubricName).criteria.push({
+      title: critName,
+      description: col('criteria description') >= 0 ? f[col('criteria description')] : '',
+      useRange: truthy(String(f[col('criteria enable range')] || '').trim().toLowerCase()),
+      ratings
+    })
+  }
+
+  return [...groups].map(([title, g]) =>
+    criteriaToPayload({ title, criteria: g.criteria }, `Canvas rubric "${title}" (from line ${g.line})`, warnings))
+}
+
+// ── Common Cartridge rubrics.xml ──────────────────────────────────────────────
+
+/** Parsed course_settings/rubrics.xml (fast-xml-parser object) → payloads */
+function fromCanvasCartridgeXML (xml, file, warnings, errors) {
+  return asArray(xml.rubrics?.rubric).map((r, i) => fromCanvasRubric({
+    title: r.title,
+    description: r.description,
+    free_form_criterion_comments: r.free_form_criterion_comments,
+    hide_score_total: r.hide_score_total,
+    data: asArray(r.data?.criterion).map(c => ({
+      description: c.description,
+      long_description: c.long_description,
+      criterion_use_range: c.criterion_use_range,
+      learning_outcome_id: c.learning_outcome_id,
+      ignore_for_scoring: c.ignore_for_scoring,
+      ratings: asArray(c.ratings?.rating).map(x => ({ description: x.description, long_description: x.long_description, points: x.points }))
+    }))
+  }, `${file}: rubric ${i + 1} "${r.title || ''}"`, warnings, errors))
+}
+
+module.exports = { fromCanvasJSON, isCanvasJSON, fromCanvasCSV, isCanvasCSVHeader, fromCanvasCartridgeXML }
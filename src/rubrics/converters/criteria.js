@@ -0,0 +1,92 @@
+/**
+ * Shared last step for the foreign-format converters.
+ *
+ * Canvas and Moodle give every criterion its own list of ratings; a Learn
+ * rubric has one set of levels (columns) shared by all rows. This lines the
+ * ratings up into columns, highest score first, and says what it had to
+ * bend along the way.
+ *
+ * Input:  { title, description, criteria: [{ title, description, useRange,
+ *           ratings: [{ title, description, points }] }] }
+ * Output: a create payload (same shape as mapRubric's)
+ */
+
+/** Strip HTML from rich-text fields — Learn rubric text is plain */
+function plain (html) {
+  return String(html ?? '')
+    .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+const num = (v) => v === '' || v == null || !Number.isFinite(Number(v)) ? null : Number(v)
+
+function criteriaToPayload (src, where, warnings) {
+  const warn = (message) => warnings.push({ where, message })
+  const criteria = (src.criteria || []).map(c => ({
+    ...c,
+    ratings: [...(c.ratings || [])].sort((a, b) => (num(b.points) ?? -Infinity) - (num(a.points) ?? -Infinity))
+  }))
+
+  const width = Math.max(1, ...criteria.map(c => c.ratings.length))
+  const widest = criteria.find(c => c.ratings.length === width)
+  const columnTitles = Array.from({ length: width }, (_, i) => widest?.ratings[i]?.title?.trim() || `Level ${i + 1}`)
+
+  const ranged = criteria.some(c => c.useRange)
+  const type = ranged ? 'PointsRange' : 'Points'
+  if (ranged && criteria.some(c => !c.useRange)) {
+    warn('Some criteria use point ranges and some don\'t — the rubric is created as PointsRange; fixed scores become ranges that start and end at the same value')
+  }
+
+  let namesDiffer = false
+  const rows = criteria.map((crit, r) => {
+    const name = `Criterion "${crit.title}"`
+    if (plain(crit.description)) warn(`${name}: the long description has no Blackboard equivalent and was left out`)
+    if (!crit.ratings.length) {
+      warn(`${name} has no rating levels (free-form) — created with empty levels worth 0 points`)
+    } else if (crit.ratings.length < width) {
+      warn(`${name} has ${crit.ratings.length} rating(s); the remaining ${width - crit.ratings.length} level(s) are empty and worth 0 points`)
+    }
+
+    const cells = columnTitles.map((colTitle, i) => {
+      const rating = crit.ratings[i]
+      if (!rating) {
+        return ranged ? { description: '', startPointRange: 0, endPointRange: 0, position: i } : { description: '', points: 0, position: i }
+      }
+      let points = num(rating.points)
+      if (points == null) {
+        warn(`${name}, rating "${rating.title || i + 1}" has no points — set to 0`)
+        points = 0
+      }
+      // Keep a rating's own name when it doesn't match the shared column title
+      const ownTitle = (rating.title || '').trim()
+      if (ownTitle && ownTitle !== colTitle) namesDiffer = true
+      const text = plain(rating.description)
+      const description = ownTitle && ownTitle !== colTitle ? `${ownTitle}${text ? `: ${text}` : ''}` : text
+
+      if (!ranged) return { description, points, position: i }
+      // Canvas ranges run from the next rating's score up to this one's
+      const floor = crit.useRange ? num(crit.ratings[i + 1]?.points) ?? 0 : points
+      return { description, startPointRange: Math.min(floor, points), endPointRange: points, position: i }
+    })
+
+    return { title: plain(crit.title) || `Criterion ${r + 1}`, position: r, cells }
+  })
+
+  if (namesDiffer) {
+    warn(`Rating names differ between criteria — levels are named after "${widest.title}" and other names are kept at the start of each cell`)
+  }
+
+  return {
+    title: plain(src.title) || 'Imported Rubric',
+    description: plain(src.description),
+    rubricType: type,
+    columns: columnTitles.map((title, i) => ({ title, position: i })),
+    rows
+  }
+}
+
+module.exports = { criteriaToPayload, plain, num }
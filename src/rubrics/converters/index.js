@@ -0,0 +1,62 @@
+/**
+ * Entry points for rubric files from other LMSs.
+ *
+ *   Canvas   rubric JSON (API), rubric CSV export, CC rubrics.xml
+ *   Moodle   advanced-grading rubric XML (grading.xml from a backup)
+ *   IMS CC   .imscc / .zip packages — rubric resources found inside are
+ *            handed to the Canvas or Moodle reader
+ *
+ * Each returns create payloads; anything without a Learn equivalent is
+ * pushed onto `warnings` as { where, message } for the preview page.
+ */
+
+const JSZip = require('jszip')
+const { XMLParser } = require('fast-xml-parser')
+const { fromCanvasJSON, isCanvasJSON, fromCanvasCSV, isCanvasCSVHeader, fromCanvasCartridgeXML } = require('./canvas')
+const { fromMoodleXML, hasMoodleRubric } = require('./moodle')
+
+const parser = new XMLParser({ ignoreAttributes: true, removeNSPrefix: true, parseTagValue: false, trimValues: true })
+
+/** Canvas rubrics.xml or Moodle grading XML; null when it is neither */
+function fromXML (text, file, warnings, errors) {
+  const xml = parser.parse(text)
+  if (xml.rubrics?.rubric) return fromCanvasCartridgeXML(xml, file, warnings, errors)
+  if (hasMoodleRubric(xml)) return fromMoodleXML(xml, file, warnings)
+  return null
+}
+
+/**
+ * Look through a Common Cartridge package for rubric resources. The CC spec
+ * has no rubric type, so we read the LMS extensions that carry them: Canvas'
+ * course_settings/rubrics.xml and Moodle grading definitions.
+ */
+async function fromCartridge (buffer, warnings, errors) {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(buffer)
+  } catch (err) {
+    errors.push({ where: 'file', message: `Not a readable Common Cartridge package: ${err.message}` })
+    return []
+  }
+  if (!zip.file('imsmanifest.xml')) {
+    warnings.push({ where: 'package', message: 'No imsmanifest.xml — read as a plain zip of rubric files' })
+  }
+
+  const rubrics = []
+  const files = Object.values(zip.files).filter(f => !f.dir && /\.xml$/i.test(f.name) && f.name !== 'imsmanifest.xml')
+  for (const f of files) {
+    const text = await f.async('string')
+    if (!/<rubrics?[\s>]|plugin_gradingform_rubric_definition/.test(text)) continue
+    try {
+      rubrics.push(...(fromXML(text, f.name, warnings, errors) || []))
+    } catch (err) {
+      errors.push({ where: f.name, message: `Could not read rubric XML: ${err.message}` })
+    }
+  }
+  if (!rubrics.length && !errors.length) {
+    errors.push({ where: 'package', message: 'No Canvas or Moodle rubrics found in the package' })
+  }
+  return rubrics
+}
+
+module.exports = { fromXML, fromCartridge, fromCanvasJSON, isCanvasJSON, fromCanvasCSV, isCanvasCSVHeader }
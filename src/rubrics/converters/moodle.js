@@ -0,0 +1,49 @@
+/**
+ * Moodle advanced-grading rubrics → Learn payloads.
+ *
+ * Reads the grading.xml found in Moodle activity backups (and in Common
+ * Cartridge packages built from them): every <definition> whose method is
+ * rubric, with its criteria and scored levels. Moodle levels are unnamed, so
+ * Learn levels are titled "Level 1…n" from the highest score down.
+ */
+
+const { criteriaToPayload } = require('./criteria')
+
+const asArray = (v) => v == null ? [] : Array.isArray(v) ? v : [v]
+
+/** Every object in the tree that carries a rubric definition */
+function findDefinitions (node, out = []) {
+  if (!node || typeof node !== 'object') return out
+  if (node.plugin_gradingform_rubric_definition && (node.method == null || node.method === 'rubric')) out.push(node)
+  for (const v of Object.values(node)) {
+    for (const child of asArray(v)) findDefinitions(child, out)
+  }
+  return out
+}
+
+const hasMoodleRubric = (xml) => findDefinitions(xml).length > 0
+
+/** Parsed XML (fast-xml-parser object) → payloads */
+function fromMoodleXML (xml, file, warnings) {
+  return findDefinitions(xml).map((def, i) => {
+    const where = `${file}: rubric ${i + 1} "${def.name || ''}"`
+    let options = {}
+    try { options = JSON.parse(def.options || '{}') } catch { /* older backups store no options */ }
+    if (options.enableremarks) warnings.push({ where, message: 'Per-criterion remarks have no Blackboard equivalent' })
+    if (options.lockzeropoints === 0 || options.lockzeropoints === '0') {
+      warnings.push({ where, message: 'Moodle scales scores from the minimum level — Blackboard uses the points as entered' })
+    }
+    warnings.push({ where, message: 'Moodle levels have no names — levels are titled Level 1, Level 2, … from the highest score' })
+
+    const criteria = asArray(def.plugin_gradingform_rubric_definition.criteria?.criterion)
+      .sort((a, b) => Number(a.sortorder || 0) - Number(b.sortorder || 0))
+      .map(c => ({
+        title: c.description,
+        ratings: asArray(c.levels?.level).map(l => ({ title: '', description: l.definition, points: l.score }))
+      }))
+
+    return criteriaToPayload({ title: def.name, description: def.description, criteria }, where, warnings)
+  })
+}
+
+module.exports = { fromMoodleXML, hasMoodleRubric }
@@ -0,0 +1,170 @@
+/**
+ * Compare a source rubric with its copy in another course, and bring
+ * selected differences across.
+ *
+ *   pairRubrics   match source rubrics to copies — remembered link first,
+ *                 then the same title
+ *   diffRubrics   cell-level list of differences, each with a stable key
+ *   applyChanges  the copy's payload with the chosen keys taken from the source
+ *
+ * Criteria and levels are compared by position. A type change can't be
+ * merged cell by cell, so it is offered as one "replace everything" change.
+ */
+
+const { mapRubric, CELL_SCORE_FIELDS } = require('./mapping')
+const { cellValue } = require('./grid')
+const { dense } = require('./editor')
+
+const titleKey = (t) => String(t || '').trim().toLowerCase()
+
+/**
+ * sources / copies: rubric lists from the two courses; links: Map of source
+ * rubric id → copy id (see links.js). Returns { pairs: [{ source, copy, by }],
+ * unpaired: [source] }. Each copy is paired at most once.
+ */
+function pairRubrics (sources, copies, links) {
+  const byId = new Map(copies.map(c => [c.id, c]))
+  const used = new Set()
+  const pairs = [], unpaired = []
+  for (const source of sources) {
+    let copy = byId.get(links.get(source.id))
+    let by = 'link'
+    if (!copy || used.has(copy.id)) {
+      copy = copies.find(c => !used.has(c.id) && titleKey(c.title) === titleKey(source.title))
+      by = 'title'
+    }
+    if (!copy) {
+      unpaired.push(source)
+      continue
+    }
+    used.add(copy.id)
+    pairs.push({ source, copy, by })
+  }
+  return { pairs, unpaired }
+}
+
+const scoreOf = (cell, type) => CELL_SCORE_FIELDS[type].map(f => cell?.[f] ?? null)
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b)
+
+/** Both rubrics as dense payloads (one cell per level in every criterion) */
+function normalise (source, copy) {
+  return { src: dense(mapRubric(source).payload), dst: dense(mapRubric(copy).payload) }
+}
+
+/**
+ * Differences between source and copy, as [{ key, where, from, to }] where
+ * from is the copy's current value and to the source's.
+ */
+function diffRubrics (source, copy) {
+  const { src, dst } = normalise(source, copy)
+  const changes = []
+  const add = (key, where, from, to) => changes.push({ key, where, from: from ?? '', to: to ?? '' })
+
+  if (src.rubricType !== dst.rubricType) {
+    add('type', 'Rubric type (replaces every criterion, level and score)', dst.rubricType, src.rubricType)
+    return changes
+  }
+  const type = src.rubricType
+  if (src.title !== dst.title) add('title', 'Title', dst.title, src.title)
+  if (src.description !== dst.description) add('description', 'Description', dst.description, src.description)
+
+  const cols = Math.min(src.columns.length, dst.columns.length)
+  for (let c = 0; c < cols; c++) {
+    if (src.columns[c].title !== dst.columns[c].title) add(`col:${c}`, `Level ${c + 1} title`, dst.columns[c].title, src.columns[c].title)
+  }
+  src.columns.slice(cols).forEach((col, i) => add(`col-add:${cols + i}`, `Level ${cols + i + 1} "${col.title}"`, '(missing)', 'add level'))
+  dst.columns.slice(cols).forEach((col, i) => add(`col-del:${cols + i}`, `Level ${cols + i + 1} "${col.title}"`, 'only in copy', 'remove level'))
+
+  const rows = Math.min(src.rows.length, dst.rows.length)
+  for (let r = 0; r < rows; r++) {
+    const s = src.rows[r], d = dst.rows[r]
+    const name = `Criterion ${r + 1} "${s.title}"`
+    if (s.title !== d.title) add(`row:${r}`, `Criterion ${r + 1} title`, d.title, s.title)
+    if (s.percentage !== d.percentage) add(`weight:${r}`, `${name} weight`, d.percentage != null ? `${d.percentage}%` : '', s.percentage != null ? `${s.percentage}%` : '')
+    for (let c = 0; c < cols; c++) {
+      const sc = s.cells[c], dc = d.cells[c]
+      const at = `${name}, level "${src.columns[c].title}"`
+      if (sc.description !== dc.description) add(`text:${r}:${c}`, `${at} text`, dc.description, sc.description)
+      if (!same(scoreOf(sc, type), scoreOf(dc, type))) add(`score:${r}:${c}`, `${at} score`, cellValue(dc, type), cellValue(sc, type))
+    }
+  }
+  src.rows.slice(rows).forEach((row, i) => add(`row-add:${rows + i}`, `Criterion ${rows + i + 1} "${row.title}"`, '(missing)', 'add criterion'))
+  dst.rows.slice(rows).forEach((row, i) => add(`row-del:${rows + i}`, `Criterion ${rows + i + 1} "${row.title}"`, 'only in copy', 'remove criterion'))
+  return changes
+}
+
+function zeroCell (type, position, description = '') {
+  const cell = { description, position }
+  for (const f of CELL_SCORE_FIELDS[type]) cell[f] = 0
+  return cell
+}
+
+/**
+ * The copy's payload with the selected change keys applied from the source.
+ * Levels and criteria added to only one side of the grid get zero-score
+ * cells where the source has none; validate the result before sending it.
+ */
+function applyChanges (source, copy, keys) {
+  const { src, dst } = normalise(source, copy)
+  const chosen = new Set(keys)
+  if (chosen.has('type')) return src
+
+  const type = dst.rubricType
+  const out = structuredClone(dst)
+  const pick = (prefix) => [...chosen].filter(k => k.startsWith(`${prefix}:`)).map(k => k.split(':').slice(1).map(Number))
+
+  if (chosen.has('title')) out.title = src.title
+  if (chosen.has('description')) out.description = src.description
+  for (const [c] of pick('col')) if (src.columns[c] && out.columns[c]) out.columns[c].title = src.columns[c].title
+  for (const [r] of pick('row')) if (src.rows[r] && out.rows[r]) out.rows[r].title = src.rows[r].title
+  for (const [r] of pick('weight')) if (src.rows[r] && out.rows[r]) out.rows[r].percentage = src.rows[r].percentage
+  for (const [r, c] of pick('text')) {
+    const cell = out.rows[r]?.cells[c]
+    if (cell && src.rows[r]?.cells[c]) cell.description = src.rows[r].cells[c].description
+  }
+  for (const [r, c] of pick('score')) {
+    const cell = out.rows[r]?.cells[c]
+    const from = src.rows[r]?.cells[c]
+    if (cell && from) for (const f of CELL_SCORE_FIELDS[type]) cell[f] = from[f]
+  }
+
+  // Only one of add / remove can apply per dimension — sources with more
+  // levels or criteria than the copy offer adds, fewer offer removals
+  for (const [c] of pick('col-add').sort((a, b) => a[0] - b[0])) {
+    if (!src.columns[c]) continue
+    out.columns.push({ title: src.columns[c].title, position: out.columns.length })
+    out.rows.forEach((row, r) => {
+      const from = src.rows[r]?.cells[c]
+      row.cells.push(from ? { ...from, position: row.cells.length } : zeroCell(type, row.cells.length))
+    })
+  }
+  for (const [r] of pick('row-add').sort((a, b) => a[0] - b[0])) {
+    const from = src.rows[r]
+    if (!from) continue
+    const row = {
+      title: from.title,
+      position: out.rows.length,
+      cells: out.columns.map((_, c) => from.cells[c] ? { ...from.cells[c], position: c } : zeroCell(type, c))
+    }
+    if ('percentage' in from) row.percentage = from.percentage
+    out.rows.push(row)
+  }
+  for (const [c] of pick('col-del').sort((a, b) => b[0] - a[0])) {
+    if (c >= src.columns.length && out.columns[c]) {
+      out.columns.splice(c, 1)
+      for (const row of out.rows) row.cells.splice(c, 1)
+    }
+  }
+  for (const [r] of pick('row-del').sort((a, b) => b[0] - a[0])) {
+    if (r >= src.rows.length && out.rows[r]) out.rows.splice(r, 1)
+  }
+
+  out.columns.forEach((col, i) => { col.position = i })
+  out.rows.forEach((row, r) => {
+    row.position = r
+    row.cells.forEach((cell, c) => { cell.position = c })
+  })
+  return out
+}
+
+module.exports = { pairRubrics, diffRubrics, applyChanges }
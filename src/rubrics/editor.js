@@ -0,0 +1,182 @@
+/**
+ * Editable rubric grid for the staging step between selecting rubrics and
+ * creating them.
+ *
+ * The editor is a plain form: every button posts the whole grid back with an
+ * `op` (add / move / remove a row or column), the server applies it and
+ * renders the form again. Nothing is kept until the instructor saves, and a
+ * save only goes through when validatePayload has nothing to say.
+ *
+ * Fields: title, description, col_<c>, row_<r>, weight_<r>,
+ *         cell_<r>_<c> (text), <scoreField>_<r>_<c> (one or two per cell)
+ */
+
+const { CELL_SCORE_FIELDS } = require('./mapping')
+const { MAX_ROWS, MAX_COLUMNS } = require('./validate')
+const { cellsFor } = require('./grid')
+const { esc } = require('../routes/html')
+
+const isWeighted = (type) => type === 'Percentage' || type === 'PercentageRange'
+
+function blankCell (type, position) {
+  const cell = { description: '', position }
+  for (const f of CELL_SCORE_FIELDS[type]) cell[f] = null
+  return cell
+}
+
+/** Renumber positions after a move, add or remove */
+function renumber (payload) {
+  payload.columns.forEach((c, i) => { c.position = i })
+  payload.rows.forEach((row, r) => {
+    row.position = r
+    row.cells.forEach((cell, c) => { cell.position = c })
+  })
+  return payload
+}
+
+/** Copy of a payload with one cell per column in every row, in column order */
+function dense (payload) {
+  const columns = payload.columns.map(c => ({ ...c }))
+  return renumber({
+    ...payload,
+    columns,
+    rows: payload.rows.map(row => ({
+      ...row,
+      cells: cellsFor(row, columns).map((cell, c) => cell ? { ...cell } : blankCell(payload.rubricType, c))
+    }))
+  })
+}
+
+/** Read the posted form back into a payload of the given type */
+function parseEditor (body, type) {
+  const text = (v) => String(v ?? '')
+  const num = (v) => {
+    const s = text(v).trim().replace(/%$/, '')
+    const n = Number(s)
+    return s === '' || !Number.isFinite(n) ? null : n
+  }
+  // Sizes come from the form: never build more than the validator allows
+  const cols = Math.min(MAX_COLUMNS, Math.max(0, parseInt(body.cols, 10) || 0))
+  const rows = Math.min(MAX_ROWS, Math.max(0, parseInt(body.rows, 10) || 0))
+
+  const payload = {
+    title: text(body.title).trim(),
+    description: text(body.description),
+    rubricType: type,
+    columns: Array.from({ length: cols }, (_, c) => ({ title: text(body[`col_${c}`]).trim(), position: c })),
+    rows: Array.from({ length: rows }, (_, r) => {
+      const row = {
+        title: text(body[`row_${r}`]).trim(),
+        position: r,
+        cells: Array.from({ length: cols }, (_, c) => {
+          const cell = { description: text(body[`cell_${r}_${c}`]), position: c }
+          for (const f of CELL_SCORE_FIELDS[type]) cell[f] = num(body[`${f}_${r}_${c}`])
+          return cell
+        })
+      }
+      if (isWeighted(type)) row.percentage = num(body[`weight_${r}`])
+      return row
+    })
+  }
+  return payload
+}
+
+const swap = (list, i, j) => {
+  if (i < 0 || j < 0 || i >= list.length || j >= list.length) return
+  ;[list[i], list[j]] = [list[j], list[i]]
+}
+
+const OPS = {
+  'row-add': (p) => {
+    if (p.rows.length >= MAX_ROWS) return
+    const row = { title: '', position: p.rows.length, cells: p.columns.map((_, c) => blankCell(p.rubricType, c)) }
+    if (isWeighted(p.rubricType)) row.percentage = null
+    p.rows.push(row)
+  },
+  'row-up': (p, i) => swap(p.rows, i, i - 1),
+  'row-down': (p, i) => swap(p.rows, i, i + 1),
+  'row-del': (p, i) => p.rows.splice(i, 1),
+  'col-add': (p) => {
+    if (p.columns.length >= MAX_COLUMNS) return
+    p.columns.push({ title: '', position: p.columns.length })
+    for (const row of p.rows) row.cells.push(blankCell(p.rubricType, p.columns.length - 1))
+  },
+  'col-left': (p, i) => { swap(p.columns, i, i - 1); p.rows.forEach(r => swap(r.cells, i, i - 1)) },
+  'col-right': (p, i) => { swap(p.columns, i, i + 1); p.rows.forEach(r => swap(r.cells, i, i + 1)) },
+  'col-del': (p, i) => { p.columns.splice(i, 1); p.rows.forEach(r => r.cells.splice(i, 1)) }
+}
+
+/** Apply an op such as "row-up:2" or "col-add"; unknown ops leave the payload alone */
+function applyOp (payload, op) {
+  const [name, arg] = String(op || '').split(':')
+  if (OPS[name]) OPS[name](payload, Number(arg))
+  return renumber(payload)
+}
+
+const btn = (op, label, title, disabled) =>
+  `<button class="mini" type="submit" name="op" value="${op}" title="${title}" aria-label="${title}"${disabled ? ' disabled' : ''}>${label}</button>`
+
+const numInput = (name, value, label) =>
+  `<input type="number" step="any" name="${name}" value="${esc(value ?? '')}" aria-label="${esc(label)}"/>`
+
+/**
+ * The editor form. action is where it posts; errors are shown above the
+ * grid. The payload must be dense (see dense()).
+ */
+function renderEditor (payload, action, errors = []) {
+  const type = payload.rubricType
+  const fields = CELL_SCORE_FIELDS[type]
+  const unit = isWeighted(type) ? '%' : 'pts'
+  const last = (list, i) => i === list.length - 1
+
+  const head = payload.columns.map((col, c) => `
+    <th>
+      <input type="text" name="col_${c}" value="${esc(col.title)}" aria-label="Level ${c + 1} title"/>
+      <div class="ops">${btn(`col-left:${c}`, '◀', 'Move level left', c === 0)}${btn(`col-right:${c}`, '▶', 'Move level right', last(payload.columns, c))}${btn(`col-del:${c}`, '✕', 'Remove level')}</div>
+    </th>`).join('')
+
+  const body = payload.rows.map((row, r) => {
+    const cells = row.cells.map((cell, c) => {
+      const where = `Criterion ${r + 1}, level ${c + 1}`
+      const scores = fields.length === 2
+        ? `${numInput(`${fields[0]}_${r}_${c}`, cell[fields[0]], `${where} from`)}–${numInput(`${fields[1]}_${r}_${c}`, cell[fields[1]], `${where} to`)}`
+        : numInput(`${fields[0]}_${r}_${c}`, cell[fields[0]], `${where} score`)
+      return `<td>
+        <textarea name="cell_${r}_${c}" rows="3" aria-label="${where} description">${esc(cell.description)}</textarea>
+        <div class="score">${scores} ${unit}</div>
+      </td>`
+    }).join('')
+    return `<tr>
+      <th>
+        <input type="text" name="row_${r}" value="${esc(row.title)}" aria-label="Criterion ${r + 1} title"/>
+        ${isWeighted(type) ? `<div class="score">Weight ${numInput(`weight_${r}`, row.percentage, `Criterion ${r + 1} weight`)} %</div>` : ''}
+        <div class="ops">${btn(`row-up:${r}`, '▲', 'Move criterion up', r === 0)}${btn(`row-down:${r}`, '▼', 'Move criterion down', last(payload.rows, r))}${btn(`row-del:${r}`, '✕', 'Remove criterion')}</div>
+      </th>${cells}</tr>`
+  }).join('')
+
+  return `
+    <form method="POST" action="${esc(action)}">
+      <!-- Enter in a text field checks the grid rather than moving anything -->
+      <button type="submit" name="op" value="check" style="position:absolute;left:-9999px" tabindex="-1" aria-hidden="true"></button>
+      ${errors.length ? `<div class="alert alert-err">Fix these before saving:
+        <ul>${errors.map(e => `<li>${esc(e)}</li>`).join('')}</ul></div>` : ''}
+      <input type="hidden" name="cols" value="${payload.columns.length}"/>
+      <input type="hidden" name="rows" value="${payload.rows.length}"/>
+      <label for="title">Title</label>
+      <input type="text" id="title" name="title" value="${esc(payload.title)}"/>
+      <label for="description">Description</label>
+      <textarea id="description" name="description" rows="2">${esc(payload.description)}</textarea>
+      <div class="grid-wrap"><table class="grid edit">
+        <thead><tr><th>Criteria <span class="tag">${esc(type)}</span></th>${head}
+          <th>${btn('col-add', '+ Level', 'Add a level', payload.columns.length >= MAX_COLUMNS)}</th></tr></thead>
+        <tbody>${body}
+          <tr><th>${btn('row-add', '+ Criterion', 'Add a criterion', payload.rows.length >= MAX_ROWS)}</th></tr></tbody>
+      </table></div>
+      <div>
+        <button class="btn" type="submit" name="op" value="save">Save changes</button>
+        <button class="btn btn-ghost" type="submit" name="op" value="cancel">Cancel</button>
+      </div>
+    </form>`
+}
+
+module.exports = { dense, parseEditor, applyOp, renderEditor }
@@ -0,0 +1,164 @@
+/**
+ * Rubric export formats.
+ *
+ *   json  Round-trippable document — what the file import reads back
+ *   csv   One line per cell, FLAT_COLUMNS below
+ *   xlsx  One sheet per rubric, same columns as the CSV
+ *   html  Print-styled grids; the browser's "Save as PDF" produces the PDF
+ *
+ * Every format is built from mapRubric payloads, so exports carry exactly
+ * what an import would create.
+ */
+
+const ExcelJS = require('exceljs')
+const { mapRubric, CELL_SCORE_FIELDS } = require('./mapping')
+const { renderGrid } = require('./grid')
+const { esc } = require('../routes/html')
+
+const FORMAT = 'bb-rubric-transfer'
+const FORMAT_VERSION = 1
+
+// Shared by the CSV and each XLSX sheet — documented in the README
+const FLAT_COLUMNS = [
+  'rubric', 'type', 'rubric_description', 'criterion', 'weight',
+  'level', 'description', 'points', 'percentage', 'range_start', 'range_end'
+]
+
+const EXPORTS = {
+  json: { label: 'JSON (re-importable)', type: 'application/json', ext: 'json' },
+  csv: { label: 'CSV', type: 'text/csv; charset=utf-8', ext: 'csv' },
+  xlsx: { label: 'Excel workbook', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+  html: { label: 'Printable grid (HTML / PDF)', type: 'text/html; charset=utf-8', ext: 'html' }
+}
+
+/** Flat rows for one rubric — one per criterion × level */
+function flatRows (payload) {
+  const type = payload.rubricType
+  const ranged = CELL_SCORE_FIELDS[type].length === 2
+  const [from, to] = CELL_SCORE_FIELDS[type]
+  const out = []
+  for (const row of payload.rows) {
+    for (const cell of row.cells) {
+      out.push({
+        rubric: payload.title,
+        type,
+        rubric_description: payload.description,
+        criterion: row.title,
+        weight: row.percentage ?? '',
+        level: payload.columns[cell.position]?.title ?? '',
+        description: cell.description,
+        points: type === 'Points' ? cell.points ?? '' : '',
+        percentage: type === 'Percentage' ? cell.percentage ?? '' : '',
+        range_start: ranged ? cell[from] ?? '' : '',
+        range_end: ranged ? cell[to] ?? '' : ''
+      })
+    }
+  }
+  return out
+}
+
+// Text a spreadsheet would run as a formula. A leading ' makes it plain text;
+// text that already starts with ' before one of these gets one more, so
+// fileImport can always strip exactly one.
+const FORMULA_START = /^'*[=+\-@\t\r]/
+
+function csvField (v) {
+  let s = String(v ?? '')
+  if (typeof v === 'string' && FORMULA_START.test(s)) s = `'${s}`
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+function toJSON (rubrics, source) {
+  return JSON.stringify({
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exported_at: new Date().toISOString(),
+    source,
+    rubrics: rubrics.map(r => mapRubric(r).payload)
+  }, null, 2)
+}
+
+function toCSV (rubrics) {
+  const lines = [FLAT_COLUMNS.join(',')]
+  for (const r of rubrics) {
+    for (const row of flatRows(mapRubric(r).payload)) {
+      lines.push(FLAT_COLUMNS.map(c => csvField(row[c])).join(','))
+    }
+  }
+  // BOM so Excel opens UTF-8 correctly
+  return '\uFEFF' + lines.join('\r\n') + '\r\n'
+}
+
+/** Excel sheet names: max 31 chars, no []:*?/\ and unique per workbook */
+function sheetName (title, used) {
+  const base = (title || 'Rubric').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 28) || 'Rubric'
+  let name = base
+  for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} ${n}`
+  used.add(name.toLowerCase())
+  return name
+}
+
+async function toXLSX (rubrics) {
+  const wb = new ExcelJS.Workbook()
+  wb.creator = 'BB Rubric Transfer'
+  const used = new Set()
+  for (const r of rubrics) {
+    const payload = mapRubric(r).payload
+    const ws = wb.addWorksheet(sheetName(payload.title, used))
+    ws.columns = FLAT_COLUMNS.map(key => ({ header: key, key, width: key === 'description' ? 50 : 16 }))
+    ws.getRow(1).font = { bold: true }
+    for (const row of flatRows(payload)) ws.addRow(row)
+  }
+  return Buffer.from(await wb.xlsx.writeBuffer())
+}
+
+function toHTML (rubrics, source) {
+  const sections = rubrics.map(r => {
+    const payload = mapRubric(r).payload
+    return `<section><h2>${esc(payload.title)}</h2>${renderGrid(payload)}</section>`
+  }).join('')
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Rubrics — ${esc(source?.name || '')}</title>
+  <style>
+    body{font-family:system-ui,sans-serif;color:#1e293b;margin:24px}
+    h1{font-size:1.2rem;margin:0 0 4px}
+    h2{font-size:1rem;margin:28px 0 6px}
+    .muted{color:#64748b;font-size:0.85rem}
+    .tag{font-size:0.75rem;background:#f1f5f9;padding:1px 6px;border-radius:4px}
+    table.grid{border-collapse:collapse;font-size:0.8rem;width:100%}
+    table.grid th,table.grid td{border:1px solid #94a3b8;padding:6px 8px;vertical-align:top;text-align:left}
+    table.grid thead th{background:#f1f5f9}
+    table.grid td .pts{display:block;font-weight:600;margin-top:4px}
+    .toolbar{margin-bottom:16px}
+    @media print{
+      .toolbar{display:none}
+      body{margin:0}
+      section{break-inside:avoid}
+      table.grid thead th{-webkit-print-color-adjust:exact;print-color-adjust:exact}
+    }
+  </style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <h1>${esc(source?.name || 'Rubrics')}</h1>
+  <p class="muted">${esc(source?.courseId || '')} · exported ${new Date().toLocaleDateString('en-US', { dateStyle: 'medium' })}</p>
+  ${sections}
+</body>
+</html>`
+}
+
+/** Build the export body for a format key from EXPORTS */
+async function exportRubrics (format, rubrics, source) {
+  switch (format) {
+    case 'json': return toJSON(rubrics, source)
+    case 'csv': return toCSV(rubrics)
+    case 'xlsx': return toXLSX(rubrics)
+    case 'html': return toHTML(rubrics, source)
+    default: throw new Error(`Unknown export format: ${format}`)
+  }
+}
+
+module.exports = { EXPORTS, FLAT_COLUMNS, FORMAT, FORMAT_VERSION, FORMULA_START, exportRubrics, csvField }
@@ -0,0 +1,304 @@
+/**
+ * Parse an uploaded rubric file into create payloads.
+ *
+ * Accepts the tool's own formats (see export.js and the README):
+ *   .json  the round-trippable export document
+ *   .csv   one line per criterion × level, FLAT_COLUMNS
+ *   .xlsx  any number of sheets laid out like the CSV
+ *
+ * and, through ./converters, rubrics from other systems:
+ *   Canvas JSON / CSV, Moodle rubric XML, IMS Common Cartridge (.imscc/.zip)
+ *
+ * Returns { rubrics, errors, warnings } — errors point at the line (CSV),
+ * sheet row (XLSX) or rubric index (JSON) to fix, and nothing is created
+ * while there are any. Warnings describe what a conversion could not carry.
+ */
+
+const ExcelJS = require('exceljs')
+const { mapRubric, CELL_SCORE_FIELDS } = require('./mapping')
+const { validatePayload } = require('./validate')
+const { FLAT_COLUMNS, FORMAT, FORMULA_START } = require('./export')
+const converters = require('./converters')
+
+const REQUIRED_COLUMNS = ['rubric', 'criterion', 'level']
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+/** A field as written, without the ' csvField adds before formula-like text */
+const unguard = (s) => s.startsWith("'") && FORMULA_START.test(s) ? s.slice(1) : s
+
+/**
+ * RFC 4180 parser. Returns [{ line, fields }] where line is the 1-based line
+ * the record starts on (quoted fields may span lines).
+ */
+function parseCSV (text) {
+  const records = []
+  let fields = [], field = '', quoted = false, line = 1, start = 1
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else {
+        if (ch === '\n') line++
+        field += ch
+      }
+      continue
+    }
+    if (ch === '"') quoted = true
+    else if (ch === ',') { fields.push(unguard(field)); field = '' }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      fields.push(unguard(field))
+      records.push({ line: start, fields })
+      fields = []; field = ''
+      start = ++line
+    } else field += ch
+  }
+  if (field || fields.length) { fields.push(unguard(field)); records.push({ line: start, fields }) }
+  return records.filter(r => r.fields.some(f => f.trim()))
+}
+
+// ── Flat rows → payloads ──────────────────────────────────────────────────────
+
+function toNumber (v, col, where, errors) {
+  const s = String(v ?? '').trim().replace(/%$/, '')
+  if (s === '') return null
+  const n = Number(s)
+  if (!Number.isFinite(n)) {
+    errors.push({ where, message: `${col} "${v}" is not a number` })
+    return null
+  }
+  return n
+}
+
+/**
+ * records: [{ where, values: { column: value } }] in file order.
+ * Rubrics are grouped by title; levels and criteria keep first-seen order.
+ */
+function fromFlatRecords (records, errors) {
+  const groups = new Map()
+  for (const rec of records) {
+    const v = rec.values
+    const missing = REQUIRED_COLUMNS.filter(c => !String(v[c] ?? '').trim())
+    if (missing.length) {
+      errors.push({ where: rec.where, message: `Missing ${missing.join(', ')}` })
+      continue
+    }
+    const title = String(v.rubric).trim()
+    if (!groups.has(title)) groups.set(title, [])
+    groups.get(title).push(rec)
+  }
+
+  const rubrics = []
+  for (const [title, recs] of groups) {
+    const first = recs[0].where
+    const typeOf = (r) => String(r.values.type || '').trim() || 'Points'
+    const type = typeOf(recs[0])
+    const fields = CELL_SCORE_FIELDS[type]
+    if (!fields) {
+      errors.push({ where: first, message: `Unknown rubric type "${type}"` })
+      continue
+    }
+
+    const levels = [], criteria = new Map()
+    let description = ''
+    let ok = true
+    for (const rec of recs) {
+      const v = rec.values
+      if (typeOf(rec) !== type) {
+        errors.push({ where: rec.where, message: `Type "${typeOf(rec)}" differs from "${type}" earlier in rubric "${title}"` })
+        ok = false
+        continue
+      }
+      description ||= String(v.rubric_description || '').trim()
+      const level = String(v.level).trim()
+      if (!levels.includes(level)) levels.push(level)
+      const name = String(v.criterion).trim()
+      if (!criteria.has(name)) criteria.set(name, { title: name, weight: null, cells: new Map() })
+      const crit = criteria.get(name)
+
+      const weight = toNumber(v.weight, 'weight', rec.where, errors)
+      if (weight != null) crit.weight = weight
+      if (crit.cells.has(level)) {
+        errors.push({ where: rec.where, message: `Criterion "${name}" already has a "${level}" cell` })
+        ok = false
+        continue
+      }
+      const cell = { description: String(v.description ?? '') }
+      if (type === 'Points') cell.points = toNumber(v.points, 'points', rec.where, errors)
+      else if (type === 'Percentage') cell.percentage = toNumber(v.percentage, 'percentage', rec.where, errors)
+      else {
+        cell[fields[0]] = toNumber(v.range_start, 'range_start', rec.where, errors)
+        cell[fields[1]] = toNumber(v.range_end, 'range_end', rec.where, errors)
+      }
+      crit.cells.set(level, cell)
+    }
+    if (!ok) continue
+
+    const payload = {
+      title,
+      description,
+      rubricType: type,
+      columns: levels.map((t, i) => ({ title: t, position: i })),
+      rows: [...criteria.values()].map((c, r) => {
+        const row = {
+          title: c.title,
+          position: r,
+          cells: levels.filter(l => c.cells.has(l)).map(l => ({ ...c.cells.get(l), position: levels.indexOf(l) }))
+        }
+        if (type.startsWith('Percentage')) row.percentage = c.weight
+        return row
+      })
+    }
+    for (const message of validatePayload(payload)) {
+      errors.push({ where: `Rubric "${title}" (from ${first})`, message })
+    }
+    rubrics.push(payload)
+  }
+  return rubrics
+}
+
+function headerIndex (header, where, errors) {
+  const names = header.map(h => String(h ?? '').trim().toLowerCase())
+  const missing = REQUIRED_COLUMNS.filter(c => !names.includes(c))
+  if (missing.length) {
+    errors.push({ where, message: `Header is missing column(s): ${missing.join(', ')} — expected ${FLAT_COLUMNS.join(', ')}` })
+    return null
+  }
+  return names
+}
+
+function parseCSVFile (text, errors, warnings) {
+  const records = parseCSV(text.replace(/^\uFEFF/, ''))
+  if (!records.length) {
+    errors.push({ where: 'file', message: 'The file is empty' })
+    return []
+  }
+  if (converters.isCanvasCSVHeader(records[0].fields)) {
+    return validated(converters.fromCanvasCSV(records, warnings, errors), errors)
+  }
+  const names = headerIndex(records[0].fields, 'line 1', errors)
+  if (!names) return []
+  return fromFlatRecords(records.slice(1).map(r => ({
+    where: `line ${r.line}`,
+    values: Object.fromEntries(names.map((n, i) => [n, r.fields[i]]))
+  })), errors)
+}
+
+async function parseXLSXFile (buffer, errors) {
+  const wb = new ExcelJS.Workbook()
+  try {
+    await wb.xlsx.load(buffer)
+  } catch (err) {
+    errors.push({ where: 'file', message: `Not a readable Excel workbook: ${err.message}` })
+    return []
+  }
+  const records = []
+  wb.eachSheet(ws => {
+    const header = []
+    ws.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => { header[col - 1] = cell.text })
+    const names = headerIndex(header, `${ws.name} row 1`, errors)
+    if (!names) return
+    ws.eachRow((row, n) => {
+      if (n === 1) return
+      const values = {}
+      names.forEach((name, i) => { values[name] = row.getCell(i + 1).text })
+      if (Object.values(values).some(v => String(v).trim())) records.push({ where: `${ws.name} row ${n}`, values })
+    })
+  })
+  return fromFlatRecords(records, errors)
+}
+
+// ── JSON ──────────────────────────────────────────────────────────────────────
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+
+/** What stops mapRubric reading a rubrics[] entry, or null */
+function shapeProblem (r) {
+  if (!isObject(r)) return 'Not an object'
+  for (const key of ['columns', 'rows']) {
+    if (r[key] == null) continue
+    if (!Array.isArray(r[key])) return `${key} is not an array`
+    const bad = r[key].findIndex(x => !isObject(x))
+    if (bad !== -1) return `${key}[${bad}] is not an object`
+  }
+  for (const [i, row] of (r.rows || []).entries()) {
+    if (row.cells == null) continue
+    if (!Array.isArray(row.cells)) return `rows[${i}].cells is not an array`
+    const bad = row.cells.findIndex(x => !isObject(x))
+    if (bad !== -1) return `rows[${i}].cells[${bad}] is not an object`
+  }
+  return null
+}
+
+function parseJSONFile (text, errors, warnings) {
+  let doc
+  try {
+    doc = JSON.parse(text)
+  } catch (err) {
+    // V8 reports "… at position N" — turn that into a line number
+    const pos = Number((err.message.match(/position (\d+)/) || [])[1])
+    const where = Number.isFinite(pos) ? `line ${text.slice(0, pos).split('\n').length}` : 'file'
+    errors.push({ where, message: `Invalid JSON: ${err.message}` })
+    return []
+  }
+  if (doc?.format !== FORMAT && converters.isCanvasJSON(doc)) {
+    return validated(converters.fromCanvasJSON(doc, warnings, errors), errors)
+  }
+  if (doc?.format !== FORMAT || !Array.isArray(doc.rubrics)) {
+    errors.push({ where: 'file', message: `Not a ${FORMAT} export or Canvas rubric JSON (expected "format": "${FORMAT}" and a "rubrics" array)` })
+    return []
+  }
+  return doc.rubrics.flatMap((r, i) => {
+    const problem = shapeProblem(r)
+    if (problem) {
+      errors.push({ where: `rubrics[${i}]`, message: problem })
+      return []
+    }
+    const { payload } = mapRubric(r)
+    for (const message of validatePayload(payload)) {
+      errors.push({ where: `rubrics[${i}] "${payload.title}"`, message })
+    }
+    return [payload]
+  })
+}
+
+// ── Other systems ─────────────────────────────────────────────────────────────
+
+/** Converted payloads get the same structural checks as our own formats */
+function validated (rubrics, errors) {
+  for (const payload of rubrics) {
+    for (const message of validatePayload(payload)) errors.push({ where: `Rubric "${payload.title}"`, message })
+  }
+  return rubrics
+}
+
+function parseXMLFile (text, filename, errors, warnings) {
+  try {
+    const rubrics = converters.fromXML(text, filename, warnings, errors)
+    if (rubrics) return validated(rubrics, errors)
+    errors.push({ where: 'file', message: 'No Moodle or Canvas rubric found in the XML' })
+  } catch (err) {
+    errors.push({ where: 'file', message: `Invalid XML: ${err.message}` })
+  }
+  return []
+}
+
+/** Parse by file extension; returns { rubrics, errors, warnings } */
+async function parseUpload (filename, buffer) {
+  const errors = [], warnings = []
+  const ext = String(filename || '').toLowerCase().split('.').pop()
+  let rubrics = []
+  if (ext === 'json') rubrics = parseJSONFile(buffer.toString('utf8'), errors, warnings)
+  else if (ext === 'csv') rubrics = parseCSVFile(buffer.toString('utf8'), errors, warnings)
+  else if (ext === 'xlsx') rubrics = await parseXLSXFile(buffer, errors)
+  else if (ext === 'xml') rubrics = parseXMLFile(buffer.toString('utf8'), filename, errors, warnings)
+  else if (ext === 'imscc' || ext === 'zip') rubrics = validated(await converters.fromCartridge(buffer, warnings, errors), errors)
+  else errors.push({ where: 'file', message: 'Upload a .json, .csv, .xlsx, .xml or .imscc file' })
+
+  if (!errors.length && !rubrics.length) errors.push({ where: 'file', message: 'No rubrics found in the file' })
+  return { rubrics, errors, warnings }
+}
+
+module.exports = { parseUpload, parseCSV }
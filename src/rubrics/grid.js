@@ -0,0 +1,75 @@
+/**
+ * Read-only HTML rendering of a Learn rubric as a criteria × levels grid.
+ *
+ * Used for the preview on /ui/select-rubrics and for side-by-side comparison
+ * with a same-titled rubric that already exists in the destination course.
+ */
+
+const { esc } = require('../routes/html')
+
+const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0)
+
+/** Level headers — Learn returns columns, older payloads only carry cells */
+function columnsOf (rubric) {
+  const rows = rubric.rows || []
+  if (rubric.columns?.length) return [...rubric.columns].sort(byPosition)
+  const width = Math.max(0, ...rows.map(r => (r.cells || []).length))
+  return Array.from({ length: width }, (_, i) => ({ title: `Level ${i + 1}` }))
+}
+
+/** Cells of a row in column order (matched by columnId, else position) */
+function cellsFor (row, columns) {
+  const cells = row.cells || []
+  if (cells.some(c => c.columnId)) return columns.map(col => cells.find(c => c.columnId === col.id))
+  if (cells.every(c => c.position != null)) return columns.map((_, i) => cells.find(c => c.position === i))
+  return columns.map((_, i) => cells[i])
+}
+
+function range (from, to, unit) {
+  if (from == null && to == null) return ''
+  return `${from ?? '?'}–${to ?? '?'}${unit}`
+}
+
+/** The score shown under a cell description, by rubric type */
+function cellValue (cell, type) {
+  if (!cell) return ''
+  switch (type) {
+    case 'Percentage': return cell.percentage != null ? `${cell.percentage}%` : ''
+    case 'PointsRange': return range(cell.startPointRange, cell.endPointRange, ' pts')
+    case 'PercentageRange': return range(cell.startPercentageRange, cell.endPercentageRange, '%')
+    default: return cell.points != null ? `${cell.points} pts` : ''
+  }
+}
+
+function renderGrid (rubric) {
+  const type = rubric.rubricType || 'Points'
+  const columns = columnsOf(rubric)
+  const rows = [...(rubric.rows || [])].sort(byPosition)
+  const weighted = type.startsWith('Percentage')
+
+  const head = columns.map(c => `<th>${esc(c.title)}</th>`).join('')
+  const body = rows.map(row => {
+    const weight = weighted && row.percentage != null ? `<span class="pts">${row.percentage}%</span>` : ''
+    const cells = cellsFor(row, columns).map(cell => `<td>${esc(cell?.description)}` +
+      `<span class="pts">${esc(cellValue(cell, type))}</span></td>`).join('')
+    return `<tr><th>${esc(row.title)}${weight}</th>${cells}</tr>`
+  }).join('')
+
+  return `
+    ${rubric.description ? `<p class="muted">${esc(rubric.description)}</p>` : ''}
+    <div class="grid-wrap"><table class="grid">
+      <thead><tr><th>Criteria <span class="tag">${esc(type)}</span></th>${head}</tr></thead>
+      <tbody>${body || `<tr><td colspan="${columns.length + 1}">No criteria</td></tr>`}</tbody>
+    </table></div>`
+}
+
+/** Source and destination rubrics next to each other */
+function renderComparison (source, existing) {
+  return `
+    <div class="compare">
+      <div><h4>Source</h4>${renderGrid(source)}</div>
+      <div><h4>Already in destination</h4>${renderGrid(existing)}</div>
+    </div>`
+}
+
+module.exports = { renderGrid, renderComparison, columnsOf, cellsFor, cellValue }
@@ -0,0 +1,124 @@
+/**
+ * Source rubric → create/update payload.
+ *
+ * Carries over every writable field for the four Learn rubric types and
+ * records anything it had to leave behind, so the results page can tell the
+ * instructor exactly where the copy differs from the original.
+ *
+ *   Points           cells.points
+ *   Percentage       cells.percentage, rows.percentage (criterion weight)
+ *   PointsRange      cells.startPointRange / endPointRange
+ *   PercentageRange  cells.startPercentageRange / endPercentageRange, rows.percentage
+ */
+
+const { transformScores } = require('./rescale')
+
+const RUBRIC_TYPES = ['Points', 'Percentage', 'PointsRange', 'PercentageRange']
+
+// Score fields on a cell, per rubric type
+const CELL_SCORE_FIELDS = {
+  Points: ['points'],
+  Percentage: ['percentage'],
+  PointsRange: ['startPointRange', 'endPointRange'],
+  PercentageRange: ['startPercentageRange', 'endPercentageRange']
+}
+const ALL_SCORE_FIELDS = [...new Set(Object.values(CELL_SCORE_FIELDS).flat())]
+
+// Assigned by Learn — never sent, never reported as lost
+const SYSTEM_FIELDS = ['id', 'uuid', 'courseId', 'created', 'modified', 'createdDate', 'modifiedDate', 'links']
+
+const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0)
+const isWeighted = (type) => type === 'Percentage' || type === 'PercentageRange'
+
+/** Report every key on obj that the mapping didn't consume */
+function leftovers (obj, used, where, report) {
+  for (const key of Object.keys(obj || {})) {
+    if (used.includes(key) || SYSTEM_FIELDS.includes(key)) continue
+    if (obj[key] == null || obj[key] === '') continue
+    report.push({ field: `${where}.${key}`, reason: 'Not a writable rubric field in the Learn REST API' })
+  }
+}
+
+/**
+ * options (optional): { convertTo, rescaleTo, rounding } — see rescale.js.
+ * Conversion notes land in the same report as the fidelity notes.
+ */
+function mapRubric (src, options) {
+  const report = []
+  const srcType = src.rubricType || src.type
+  let type = srcType
+  if (!RUBRIC_TYPES.includes(type)) {
+    type = 'Points'
+    report.push({ field: 'rubricType', reason: `Unknown type "${srcType ?? ''}" — created as Points` })
+  }
+  leftovers(src, ['title', 'description', 'rubricType', 'type', 'columns', 'rows'], 'rubric', report)
+
+  // Columns: ids are course-specific, so cells are re-linked by position
+  const srcRows = [...(src.rows || [])].sort(byPosition)
+  let srcColumns = [...(src.columns || [])].sort(byPosition)
+  if (!srcColumns.length) {
+    const width = Math.max(0, ...srcRows.map(r => (r.cells || []).length))
+    srcColumns = Array.from({ length: width }, (_, i) => ({ position: i }))
+    if (width) report.push({ field: 'columns', reason: 'Source has no column headers — levels created untitled' })
+  }
+  const columns = srcColumns.map((col, i) => {
+    leftovers(col, ['title', 'position'], `columns[${i}]`, report)
+    return { title: col.title || '', position: i }
+  })
+  const columnIndex = new Map(srcColumns.map((c, i) => [c.id, i]))
+
+  const scoreFields = CELL_SCORE_FIELDS[type]
+  const rows = srcRows.map((row, r) => {
+    const where = `rows[${r}] "${row.title || ''}"`
+    leftovers(row, ['title', 'position', 'percentage', 'cells'], where, report)
+    if (!isWeighted(type) && row.percentage != null) {
+      report.push({ field: `${where}.percentage`, reason: `Criterion weights are not used by ${type} rubrics` })
+    }
+
+    const cells = new Array(columns.length).fill(null)
+    ;(row.cells || []).forEach((cell, c) => {
+      const at = cell.columnId && columnIndex.has(cell.columnId) ? columnIndex.get(cell.columnId) : c
+      const cellWhere = `${where}.cells[${at}]`
+      if (at >= columns.length || cells[at]) {
+        report.push({ field: cellWhere, reason: 'Cell does not line up with any column — dropped' })
+        return
+      }
+      leftovers(cell, ['description', 'columnId', 'position', ...ALL_SCORE_FIELDS], cellWhere, report)
+      for (const f of ALL_SCORE_FIELDS) {
+        if (!scoreFields.includes(f) && cell[f] != null) {
+          report.push({ field: `${cellWhere}.${f}`, reason: `Not used by ${type} rubrics` })
+        }
+      }
+      const out = { description: cell.description || '', position: at }
+      for (const f of scoreFields) out[f] = cell[f] ?? null
+      cells[at] = out
+    })
+
+    const mapped = { title: row.title || '', position: r, cells: cells.filter(Boolean) }
+    if (mapped.cells.length < columns.length) {
+      report.push({ field: `${where}.cells`, reason: `Only ${mapped.cells.length} of ${columns.length} levels have a cell` })
+    }
+    if (isWeighted(type)) mapped.percentage = row.percentage ?? null
+    return mapped
+  })
+
+  const payload = {
+    title: src.title || 'Imported Rubric',
+    description: src.description || '',
+    rubricType: type,
+    columns,
+    rows
+  }
+  if (options) {
+    const convertTo = RUBRIC_TYPES.includes(options.convertTo) ? options.convertTo : type
+    transformScores(payload, { ...options, convertTo }, report)
+  }
+  return { payload, report }
+}
+
+/** Payload only — for callers that don't surface the fidelity report */
+function transformRubric (src, options) {
+  return mapRubric(src, options).payload
+}
+
+module.exports = { mapRubric, transformRubric, RUBRIC_TYPES, CELL_SCORE_FIELDS }
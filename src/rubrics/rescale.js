@@ -0,0 +1,152 @@
+/**
+ * Point rescaling and rubric-type conversion.
+ *
+ * Every rubric is first read into one common model — per criterion, a
+ * maximum and a low/high score for each cell, in points — and then written
+ * back out as the target type:
+ *
+ *   Points           cell = high
+ *   PointsRange      cell = low…high
+ *   Percentage       weight = criterion max / total, cell = high / criterion max
+ *   PercentageRange  as Percentage, with low…high
+ *
+ * Percentage rubrics are read as if out of 100 points. Called by mapRubric,
+ * which has already checked convertTo against RUBRIC_TYPES.
+ */
+
+const ROUNDING = {
+  none: { label: 'No rounding', step: 0 },
+  hundredth: { label: 'Two decimals', step: 0.01 },
+  tenth: { label: 'One decimal', step: 0.1 },
+  half: { label: 'Nearest half', step: 0.5 },
+  integer: { label: 'Whole numbers', step: 1 }
+}
+
+const isPercentage = (type) => type === 'Percentage' || type === 'PercentageRange'
+const isRange = (type) => type === 'PointsRange' || type === 'PercentageRange'
+
+function roundTo (value, rounding) {
+  const step = ROUNDING[rounding]?.step
+  if (value == null) return value
+  // Strip float noise (0.1 * 3) even when not rounding
+  if (!step) return Number(value.toFixed(6))
+  return Number((Math.round(Number((value / step).toFixed(9))) * step).toFixed(6))
+}
+
+/** Read any rubric type into [{ max, cells: [{ lo, hi }] }] in points */
+function toModel (payload) {
+  const type = payload.rubricType
+  return payload.rows.map(row => {
+    if (isPercentage(type)) {
+      const weight = row.percentage ?? 0
+      const pct = (v) => v == null ? null : v / 100 * weight
+      const cells = row.cells.map(c => type === 'Percentage'
+        ? { lo: pct(c.percentage), hi: pct(c.percentage) }
+        : { lo: pct(c.startPercentageRange), hi: pct(c.endPercentageRange) })
+      return { max: weight, cells }
+    }
+    const cells = row.cells.map(c => type === 'Points'
+      ? { lo: c.points, hi: c.points }
+      : { lo: c.startPointRange, hi: c.endPointRange })
+    return { max: Math.max(0, ...cells.map(c => c.hi ?? 0)), cells }
+  })
+}
+
+/** Total possible score of a payload, in its own units (points, or 100 for percentages) */
+function maxScore (payload) {
+  if (isPercentage(payload.rubricType)) return 100
+  return toModel(payload).reduce((sum, r) => sum + r.max, 0)
+}
+
+/**
+ * Fixed scores turned into ranges: each cell runs from the next lower
+ * score in its criterion up to its own.
+ */
+function widenToRanges (model) {
+  for (const row of model) {
+    const his = [...new Set(row.cells.map(c => c.hi ?? 0))].sort((a, b) => a - b)
+    for (const c of row.cells) {
+      const below = his.filter(v => v < (c.hi ?? 0))
+      c.lo = below.length ? below[below.length - 1] : 0
+    }
+  }
+}
+
+/**
+ * Apply { convertTo, rescaleTo, rounding } to a payload in place and push a
+ * note per change onto report. Returns the payload.
+ */
+function transformScores (payload, options, report) {
+  const from = payload.rubricType
+  const to = options.convertTo || from
+  const rescaleTo = Number(options.rescaleTo) > 0 ? Number(options.rescaleTo) : null
+  const rounding = ROUNDING[options.rounding] ? options.rounding : 'none'
+  if (to === from && !rescaleTo && rounding === 'none') return payload
+
+  const model = toModel(payload)
+  const total = model.reduce((sum, r) => sum + r.max, 0)
+
+  if (isRange(to) && !isRange(from)) widenToRanges(model)
+  if (!isRange(to) && isRange(from)) {
+    report.push({ field: 'cells', reason: `${from} → ${to}: each range is scored at its top value` })
+  }
+
+  // Points targets can be rescaled; percentage targets are always out of 100
+  let factor = 1
+  if (!isPercentage(to)) {
+    const target = rescaleTo || total
+    factor = total > 0 ? target / total : 1
+    if (rescaleTo && total > 0) {
+      report.push({ field: 'points', reason: `Rescaled from ${roundTo(total, 'hundredth')} to ${rescaleTo} points (×${roundTo(factor, 'hundredth')})` })
+    }
+  } else if (rescaleTo) {
+    report.push({ field: 'points', reason: `${to} rubrics are always out of 100% — the new maximum was not applied` })
+  }
+  if (to !== from) report.push({ field: 'rubricType', reason: `Converted from ${from} to ${to}` })
+
+  payload.rows.forEach((row, r) => {
+    const m = model[r]
+    delete row.percentage
+    row.cells = row.cells.map((cell, c) => {
+      const { lo, hi } = m.cells[c]
+      const out = { description: cell.description, position: cell.position }
+      if (to === 'Points') out.points = roundTo((hi ?? 0) * factor, rounding)
+      else if (to === 'PointsRange') {
+        out.startPointRange = roundTo((lo ?? 0) * factor, rounding)
+        out.endPointRange = roundTo((hi ?? 0) * factor, rounding)
+      } else {
+        const pct = (v) => m.max > 0 ? roundTo((v ?? 0) / m.max * 100, rounding) : 0
+        if (to === 'Percentage') out.percentage = pct(hi)
+        else {
+          out.startPercentageRange = pct(lo)
+          out.endPercentageRange = pct(hi)
+        }
+      }
+      return out
+    })
+    if (isPercentage(to)) row.percentage = total > 0 ? roundTo(m.max / total * 100, rounding) : 0
+  })
+
+  // Rounded weights must still add up to 100 — give the drift to the heaviest criterion
+  if (isPercentage(to) && payload.rows.length) {
+    const sum = payload.rows.reduce((s, r) => s + r.percentage, 0)
+    const drift = Number((100 - sum).toFixed(6))
+    if (drift) {
+      const heaviest = payload.rows.reduce((a, b) => b.percentage > a.percentage ? b : a)
+      heaviest.percentage = Number((heaviest.percentage + drift).toFixed(6))
+      report.push({ field: `rows[${heaviest.position}] "${heaviest.title}".percentage`, reason: `Adjusted by ${drift} so weights add up to 100%` })
+    }
+  }
+
+  payload.rubricType = to
+  if (!isPercentage(to) && rounding !== 'none') {
+    const after = maxScore(payload)
+    const expected = roundTo(total * factor, 'hundredth')
+    if (Math.abs(after - expected) > 1e-6) {
+      report.push({ field: 'points', reason: `Rounding changed the maximum score to ${roundTo(after, 'hundredth')} (instead of ${expected})` })
+    }
+  }
+  return payload
+}
+
+module.exports = { ROUNDING, transformScores, maxScore }
@@ -0,0 +1,62 @@
+/**
+ * Structural checks on a rubric payload before it is sent to createRubric.
+ *
+ * Learn rejects malformed rubrics with a bare 400, so anything built outside
+ * a course (file uploads, edits, conversions) is checked here first and the
+ * instructor gets a message that says what to fix.
+ */
+
+const { RUBRIC_TYPES, CELL_SCORE_FIELDS } = require('./mapping')
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v)
+
+// Well past any real rubric; they bound what a form or file can ask us to build
+const MAX_ROWS = 100
+const MAX_COLUMNS = 20
+
+/** Returns a list of human-readable problems; empty means the payload is valid */
+function validatePayload (payload) {
+  const errors = []
+  if (!String(payload.title || '').trim()) errors.push('Rubric has no title')
+  if (!RUBRIC_TYPES.includes(payload.rubricType)) {
+    errors.push(`Unknown rubric type "${payload.rubricType}" — use ${RUBRIC_TYPES.join(', ')}`)
+    return errors
+  }
+
+  const columns = payload.columns || []
+  const rows = payload.rows || []
+  if (!columns.length) errors.push('Rubric has no levels (columns)')
+  if (!rows.length) errors.push('Rubric has no criteria (rows)')
+  if (columns.length > MAX_COLUMNS) errors.push(`Rubric has ${columns.length} levels — at most ${MAX_COLUMNS} are allowed`)
+  if (rows.length > MAX_ROWS) errors.push(`Rubric has ${rows.length} criteria — at most ${MAX_ROWS} are allowed`)
+  columns.forEach((c, i) => {
+    if (!String(c.title || '').trim()) errors.push(`Level ${i + 1} has no title`)
+  })
+
+  const [from, to] = CELL_SCORE_FIELDS[payload.rubricType]
+  const weighted = payload.rubricType.startsWith('Percentage')
+  rows.forEach((row, r) => {
+    const name = `Criterion ${r + 1}${row.title ? ` "${row.title}"` : ''}`
+    if (!String(row.title || '').trim()) errors.push(`${name} has no title`)
+    if ((row.cells || []).length !== columns.length) {
+      errors.push(`${name} has ${(row.cells || []).length} cell(s) but the rubric has ${columns.length} level(s)`)
+    }
+    if (weighted && !isNum(row.percentage)) errors.push(`${name} needs a weight (percentage)`)
+    ;(row.cells || []).forEach((cell, c) => {
+      const at = `${name}, level ${c + 1}`
+      if (!isNum(cell[from])) errors.push(`${at}: ${from} must be a number`)
+      if (to && !isNum(cell[to])) errors.push(`${at}: ${to} must be a number`)
+      if (to && isNum(cell[from]) && isNum(cell[to]) && cell[from] > cell[to]) {
+        errors.push(`${at}: ${from} is greater than ${to}`)
+      }
+    })
+  })
+
+  if (weighted && rows.length && rows.every(r => isNum(r.percentage))) {
+    const total = rows.reduce((sum, r) => sum + r.percentage, 0)
+    if (Math.abs(total - 100) > 0.01) errors.push(`Criterion weights add up to ${total}%, not 100%`)
+  }
+  return errors
+}
+
+module.exports = { validatePayload, MAX_ROWS, MAX_COLUMNS }
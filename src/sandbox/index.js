@@ -0,0 +1,14 @@
+/**
+ * Sandbox mode — a fake Learn (REST + OAuth) and a fake LTI platform, mounted
+ * in the same process as the tool. See sandbox.js.
+ */
+
+const express = require('express')
+const router = express.Router()
+
+// The platform's JWKS sits under /learn/api/public, so it goes before the
+// REST API's bearer-token check
+router.use(require('./platform'))
+router.use(require('./learn'))
+
+module.exports = router
@@ -0,0 +1,254 @@
+/**
+ * Fake Learn REST API — just the endpoints the tool calls, backed by
+ * ./store. Errors use Learn's { status, message } body so the tool's typed
+ * errors and explain() behave as they would against a real site.
+ *
+ *   OAuth     /learn/api/public/v1/oauth2/authorizationcode, /oauth2/token
+ *   Users     users/me, users/:id/courses, terms/:id
+ *   Courses   v3 courses (list, by pk / courseId: / externalId: / uuid:),
+ *             courses/:id/users/:userId
+ *   Rubrics   CRUD and associations
+ *   Gradebook v2 columns
+ *
+ * Permissions are Learn's, simplified: a user token sees only courses it is
+ * enrolled in and may only manage rubrics where it is an instructor,
+ * teaching assistant or course builder (the custom LibraryReader role may
+ * view them too). SystemAdmin users and
+ * client-credentials tokens see everything.
+ */
+
+const express = require('express')
+const router = express.Router()
+const store = require('./store')
+const { page, esc } = require('../routes/html')
+const { RUBRIC_TYPES, CELL_SCORE_FIELDS } = require('../rubrics/mapping')
+
+const V1 = '/learn/api/public/v1'
+const MANAGERS = ['Instructor', 'TeachingAssistant', 'CourseBuilder']
+// Custom role, as an institution might create for its rubric library: may view rubrics, not change them
+const READERS = [...MANAGERS, 'LibraryReader']
+
+router.use(V1, express.json(), express.urlencoded({ extended: false }))
+
+const fail = (res, status, message) => res.status(status).json({ status, message })
+
+// ── OAuth 3LO ─────────────────────────────────────────────────────────────────
+
+/**
+ * GET /learn/api/public/v1/oauth2/authorizationcode
+ * With a one_time_session_token from a launch the user is signed in
+ * silently; otherwise they pick who to sign in as.
+ */
+router.get(`${V1}/oauth2/authorizationcode`, (req, res) => {
+  const { client_id, redirect_uri, state, one_time_session_token, as } = req.query
+  if (client_id !== process.env.BB_KEY) return fail(res, 400, 'Unknown application id')
+  if (!redirect_uri) return fail(res, 400, 'redirect_uri is required')
+
+  let userId = null
+  if (one_time_session_token) userId = store.take(store.sessionTokens, one_time_session_token)?.userId
+  else if (as && store.users.has(as)) userId = as
+
+  if (!userId) {
+    const here = new URL(req.originalUrl, 'http://sandbox')
+    here.searchParams.delete('one_time_session_token')
+    const choices = [...store.users.values()].map(u => {
+      here.searchParams.set('as', u.id)
+      return `<li><a href="${esc(here.pathname + here.search)}">${esc(`${u.name.given} ${u.name.family}`)}</a> <code>${esc(u.userName)}</code></li>`
+    }).join('')
+    return res.send(page('Sandbox sign-in', `<div class="card">
+      <h2>Sign in to the sandbox</h2>
+      <p class="sub">${one_time_session_token ? 'That session token is unknown or has expired. ' : ''}Pick a user to authorise the tool as.</p>
+      <ul>${choices}</ul>
+    </div>`))
+  }
+
+  const back = new URL(redirect_uri)
+  back.searchParams.set('code', store.issueCode(userId, redirect_uri))
+  if (state) back.searchParams.set('state', state)
+  res.redirect(back.toString())
+})
+
+/** POST /learn/api/public/v1/oauth2/token — Basic auth with the application key and secret */
+router.post(`${V1}/oauth2/token`, (req, res) => {
+  const [user, pass] = Buffer.from((req.get('authorization') || '').replace(/^Basic /, ''), 'base64').toString().split(':')
+  if (user !== process.env.BB_KEY || pass !== process.env.BB_SECRET) {
+    return res.status(401).json({ error: 'invalid_client', error_description: 'Application key or secret is wrong' })
+  }
+  const grant = req.body.grant_type
+  if (grant === 'client_credentials') return res.json(store.issueTokens(null))
+  if (grant === 'authorization_code') {
+    const entry = store.take(store.codes, req.body.code)
+    if (!entry || entry.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Authorization code is invalid or expired' })
+    }
+    return res.json(store.issueTokens(entry.userId))
+  }
+  if (grant === 'refresh_token') {
+    const entry = store.take(store.refreshTokens, req.body.refresh_token)
+    if (!entry) return res.status(400).json({ error: 'invalid_grant', error_description: 'Refresh token is invalid or expired' })
+    return res.json(store.issueTokens(entry.userId))
+  }
+  res.status(400).json({ error: 'unsupported_grant_type' })
+})
+
+// ── Auth & paging ─────────────────────────────────────────────────────────────
+
+router.use('/learn/api/public', (req, res, next) => {
+  const entry = store.tokenUser((req.get('authorization') || '').replace(/^Bearer /, ''))
+  if (!entry) return fail(res, 401, 'Bearer token is invalid')
+  req.userId = entry.userId
+  next()
+})
+
+/** Learn's offset/limit paging, with paging.nextPage when there is more */
+function paged (req, items) {
+  const offset = parseInt(req.query.offset || '0', 10)
+  const limit = Math.min(parseInt(req.query.limit || '100', 10), 200)
+  const body = { results: items.slice(offset, offset + limit) }
+  if (offset + limit < items.length) {
+    const next = new URL(req.originalUrl, 'http://sandbox')
+    next.searchParams.set('offset', offset + limit)
+    next.searchParams.set('limit', limit)
+    body.paging = { nextPage: next.pathname + next.search }
+  }
+  return body
+}
+
+const isAdmin = (userId) => store.users.get(userId)?.systemRoleIds.includes('SystemAdmin')
+
+/** Resolve :courseId and check the caller may see it (and view or manage its rubrics, if asked) */
+function course (need) {
+  return (req, res, next) => {
+    const found = store.findCourse(req.params.courseId)
+    if (!found) return fail(res, 404, 'Course not found')
+    if (req.userId && !isAdmin(req.userId)) {
+      const m = store.membership(req.userId, found.id)
+      if (!m) return fail(res, 403, 'User is not enrolled in this course')
+      if (need === 'view' && !READERS.includes(m.courseRoleId)) return fail(res, 403, 'User does not have permission to view rubrics in this course')
+      if (need === 'manage' && !MANAGERS.includes(m.courseRoleId)) return fail(res, 403, 'User does not have permission to manage rubrics in this course')
+    }
+    req.course = found
+    next()
+  }
+}
+
+function rubric (req, res, next) {
+  req.rubric = store.rubricsIn(req.course.id).get(req.params.rubricId)
+  if (!req.rubric) return fail(res, 404, 'Rubric not found')
+  next()
+}
+
+// ── Users, terms, courses ─────────────────────────────────────────────────────
+
+router.get(`${V1}/users/me`, (req, res) => {
+  if (!req.userId) return fail(res, 404, 'Client-credentials tokens have no user')
+  res.json(store.users.get(req.userId))
+})
+
+router.get(`${V1}/users/:userId/courses`, (req, res) => {
+  const userId = req.params.userId === 'me' ? req.userId : req.params.userId
+  if (!store.users.has(userId)) return fail(res, 404, 'User not found')
+  if (req.userId && req.userId !== userId) return fail(res, 403, 'Cannot list another user\'s courses')
+  const expand = String(req.query.expand || '').split(',').includes('course')
+  const list = store.memberships.filter(m => m.userId === userId).map(m => ({
+    ...m, ...(expand ? { course: store.courses.get(m.courseId) } : {})
+  }))
+  res.json(paged(req, list))
+})
+
+router.get(`${V1}/terms/:termId`, (req, res) => {
+  const term = store.terms.get(req.params.termId)
+  term ? res.json(term) : fail(res, 404, 'Term not found')
+})
+
+router.get('/learn/api/public/v3/courses', (req, res) => {
+  let list = [...store.courses.values()]
+  if (req.userId && !isAdmin(req.userId)) list = list.filter(c => store.membership(req.userId, c.id))
+  if (req.query.courseId) list = list.filter(c => c.courseId.toLowerCase().includes(String(req.query.courseId).toLowerCase()))
+  res.json(paged(req, list))
+})
+
+router.get('/learn/api/public/v3/courses/:courseId', course(), (req, res) => res.json(req.course))
+
+router.get(`${V1}/courses/:courseId/users/:userId`, course(), (req, res) => {
+  const userId = req.params.userId === 'me' ? req.userId : req.params.userId
+  const m = store.membership(userId, req.course.id)
+  if (!m) return fail(res, 404, 'Membership not found')
+  res.json({ ...m, availability: { available: 'Yes' } })
+})
+
+// ── Rubrics ───────────────────────────────────────────────────────────────────
+
+/** Learn rejects a rubric whose grid doesn't line up or is missing scores */
+function invalidRubric (body) {
+  if (!body.title || !String(body.title).trim()) return 'title is required'
+  if (!RUBRIC_TYPES.includes(body.rubricType)) return `rubricType must be one of ${RUBRIC_TYPES.join(', ')}`
+  const cols = body.columns || []
+  if (!cols.length || !(body.rows || []).length) return 'A rubric needs at least one column and one row'
+  for (const [r, row] of body.rows.entries()) {
+    if ((row.cells || []).length !== cols.length) return `rows[${r}] must have one cell per column`
+    for (const [c, cell] of row.cells.entries()) {
+      for (const f of CELL_SCORE_FIELDS[body.rubricType]) {
+        if (typeof cell[f] !== 'number') return `rows[${r}].cells[${c}].${f} is required`
+      }
+    }
+  }
+  return null
+}
+
+router.get(`${V1}/courses/:courseId/rubrics`, course('view'), (req, res) => {
+  res.json(paged(req, [...store.rubricsIn(req.course.id).values()]))
+})
+
+router.get(`${V1}/courses/:courseId/rubrics/:rubricId`, course('view'), rubric, (req, res) => res.json(req.rubric))
+
+router.post(`${V1}/courses/:courseId/rubrics`, course('manage'), (req, res) => {
+  const problem = invalidRubric(req.body)
+  if (problem) return fail(res, 400, problem)
+  const created = store.expandRubric(req.body)
+  store.rubricsIn(req.course.id).set(created.id, created)
+  res.status(201).json(created)
+})
+
+router.patch(`${V1}/courses/:courseId/rubrics/:rubricId`, course('manage'), rubric, (req, res) => {
+  const merged = { ...req.rubric, ...req.body }
+  const problem = invalidRubric(merged)
+  if (problem) return fail(res, 400, problem)
+  const updated = store.expandRubric(merged, req.rubric)
+  store.rubricsIn(req.course.id).set(updated.id, updated)
+  res.json(updated)
+})
+
+router.delete(`${V1}/courses/:courseId/rubrics/:rubricId`, course('manage'), rubric, (req, res) => {
+  store.rubricsIn(req.course.id).delete(req.rubric.id)
+  store.associations.delete(req.rubric.id)
+  res.status(204).end()
+})
+
+router.get(`${V1}/courses/:courseId/rubrics/:rubricId/associations`, course('manage'), rubric, (req, res) => {
+  res.json(paged(req, store.associations.get(req.rubric.id) || []))
+})
+
+router.post(`${V1}/courses/:courseId/rubrics/:rubricId/associations`, course('manage'), rubric, (req, res) => {
+  const columnId = req.body.associationEntity?.gradebookColumnId
+  if (!(store.columns.get(req.course.id) || []).some(c => c.id === columnId)) {
+    return fail(res, 400, 'associationEntity.gradebookColumnId is not a column in this course')
+  }
+  const list = store.associations.get(req.rubric.id) || []
+  if (list.some(a => a.associationEntity.gradebookColumnId === columnId)) {
+    return fail(res, 409, 'Rubric is already associated with this column')
+  }
+  const created = { id: store.newId(), associationEntity: { gradebookColumnId: columnId }, usedForGrading: req.body.usedForGrading !== false }
+  store.associations.set(req.rubric.id, [...list, created])
+  res.status(201).json(created)
+})
+
+// ── Gradebook ─────────────────────────────────────────────────────────────────
+
+router.get('/learn/api/public/v2/courses/:courseId/gradebook/columns', course(), (req, res) => {
+  res.json(paged(req, store.columns.get(req.course.id) || []))
+})
+
+router.use('/learn/api/public', (req, res) => fail(res, 404, `The sandbox does not implement ${req.method} ${req.path}`))
+
+module.exports = router
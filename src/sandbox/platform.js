@@ -0,0 +1,140 @@
+/**
+ * Fake LTI 1.3 platform — stands in for Learn and the developer portal's
+ * OIDC endpoint so the tool's /login → /launch flow runs without either.
+ *
+ *   GET  /sandbox            pick a user and course to launch as
+ *   POST /sandbox/launch     OIDC login initiation → the tool's /login
+ *   *    /sandbox/oidcauth   the auth endpoint /login redirects to: mints a
+ *                            signed id_token and form-posts it to /launch
+ *   GET  /learn/api/public/v1/lti/tools/jwks   the key that signs it
+ */
+
+const express = require('express')
+const router = express.Router()
+const crypto = require('crypto')
+const jwt = require('jsonwebtoken')
+const store = require('./store')
+const { page, esc } = require('../routes/html')
+
+const KID = 'sandbox-1'
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }
+
+const ISSUER = () => (process.env.LTI_PLATFORM_URL || '').replace(/\/$/, '')
+const APP_URL = () => (process.env.APP_URL || '').replace(/\/$/, '')
+const DEPLOYMENT_ID = () => process.env.LTI_DEPLOYMENT_ID || 'sandbox-deployment'
+
+const LIS = 'http://purl.imsglobal.org/vocab/lis/v2/membership#'
+const ROLES = {
+  Instructor: [`${LIS}Instructor`],
+  TeachingAssistant: [`${LIS}Instructor`, `${LIS}Instructor#TeachingAssistant`],
+  CourseBuilder: [`${LIS}ContentDeveloper`],
+  Student: [`${LIS}Learner`]
+}
+
+// lti_message_hint → { userId, courseId }, until the tool comes back to /oidcauth
+const pending = new Map()
+
+router.use('/sandbox', express.urlencoded({ extended: false }))
+
+router.get('/learn/api/public/v1/lti/tools/jwks', (req, res) => res.json({ keys: [JWK] }))
+
+// ── Launch page ───────────────────────────────────────────────────────────────
+
+router.get('/sandbox', (req, res) => {
+  const users = [...store.users.values()].map(u =>
+    `<option value="${esc(u.id)}">${esc(`${u.name.given} ${u.name.family}`)} (${esc(u.userName)})</option>`).join('')
+  const courses = [...store.courses.values()].map(c =>
+    `<option value="${esc(c.id)}">${esc(c.name)} — ${esc(c.courseId)}</option>`).join('')
+  const enrolments = store.memberships.map(m =>
+    `<li>${esc(store.users.get(m.userId).userName)} — ${esc(store.courses.get(m.courseId).courseId)}: ${esc(m.courseRoleId)}</li>`).join('')
+  res.send(page('Sandbox', `<div class="card">
+    <h2>Rubric Transfer sandbox</h2>
+    <p class="sub">A fake Learn running inside this process. Launch the tool as any seeded user from any seeded course; nothing here touches a real Blackboard.</p>
+    <form method="post" action="/sandbox/launch">
+      <label for="user">User</label>
+      <select id="user" name="userId">${users}</select>
+      <label for="course">Launch from</label>
+      <select id="course" name="courseId">${courses}</select>
+      <button class="btn" type="submit">Launch Rubric Transfer</button>
+    </form>
+    <details class="preview" style="margin-top:18px"><summary>Enrolments</summary><ul class="muted">${enrolments}</ul></details>
+  </div>`))
+})
+
+/** OIDC third-party login initiation, as Learn sends it */
+router.post('/sandbox/launch', (req, res) => {
+  const { userId, courseId } = req.body
+  if (!store.users.has(userId) || !store.courses.has(courseId)) return res.status(400).send('Unknown user or course')
+  const hint = crypto.randomBytes(12).toString('hex')
+  pending.set(hint, { userId, courseId })
+
+  const login = new URL(`${APP_URL()}/login`)
+  login.searchParams.set('iss', ISSUER())
+  login.searchParams.set('login_hint', userId)
+  login.searchParams.set('target_link_uri', `${APP_URL()}/launch`)
+  login.searchParams.set('lti_message_hint', hint)
+  login.searchParams.set('client_id', process.env.LTI_CLIENT_ID)
+  login.searchParams.set('lti_deployment_id', DEPLOYMENT_ID())
+  res.redirect(303, login.toString())
+})
+
+// ── OIDC auth endpoint ────────────────────────────────────────────────────────
+
+router.all('/sandbox/oidcauth', (req, res) => {
+  const p = { ...req.query, ...req.body }
+  const launch = pending.get(p.lti_message_hint)
+  const error = (msg) => res.status(400).send(page('Sandbox launch failed', `<div class="card"><h2>Launch failed</h2><p>${esc(msg)}</p>
+    <a class="btn" href="/sandbox">Back to the sandbox</a></div>`))
+
+  if (p.response_type !== 'id_token' || p.scope !== 'openid') return error('response_type must be id_token and scope openid')
+  if (p.client_id !== process.env.LTI_CLIENT_ID) return error(`Unknown client_id "${p.client_id}"`)
+  if (p.redirect_uri !== `${APP_URL()}/launch`) return error(`redirect_uri "${p.redirect_uri}" is not registered`)
+  if (!launch) return error('lti_message_hint is unknown or was already used')
+  if (p.login_hint !== launch.userId) return error('login_hint does not match the launching user')
+  if (!p.nonce) return error('nonce is required')
+  pending.delete(p.lti_message_hint)
+
+  const user = store.users.get(launch.userId)
+  const course = store.courses.get(launch.courseId)
+  const role = store.membership(user.id, course.id)?.courseRoleId
+  const claims = {
+    sub: user.uuid,
+    name: `${user.name.given} ${user.name.family}`,
+    given_name: user.name.given,
+    family_name: user.name.family,
+    nonce: p.nonce,
+    'https://purl.imsglobal.org/spec/lti/claim/message_type': 'LtiResourceLinkRequest',
+    'https://purl.imsglobal.org/spec/lti/claim/version': '1.3.0',
+    'https://purl.imsglobal.org/spec/lti/claim/deployment_id': DEPLOYMENT_ID(),
+    'https://purl.imsglobal.org/spec/lti/claim/target_link_uri': `${APP_URL()}/launch`,
+    'https://purl.imsglobal.org/spec/lti/claim/resource_link': { id: `sandbox-link-${course.id}`, title: 'Rubric Transfer' },
+    'https://purl.imsglobal.org/spec/lti/claim/roles': ROLES[role] || [],
+    'https://purl.imsglobal.org/spec/lti/claim/context': {
+      id: course.id,
+      label: course.courseId,
+      title: course.name,
+      type: ['http://purl.imsglobal.org/vocab/lis/v2/course#CourseOffering']
+    },
+    'https://purl.imsglobal.org/spec/lti/claim/tool_platform': { guid: 'sandbox', name: 'Rubric Transfer sandbox', product_family_code: 'BlackboardLearn' },
+    'https://blackboard.com/lti/claim/one_time_session_token': store.issueSessionToken(user.id)
+  }
+  const idToken = jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: KID,
+    issuer: ISSUER(),
+    audience: p.client_id,
+    expiresIn: '5m'
+  })
+
+  res.send(`<!DOCTYPE html><html><head><meta charset="utf-8"></head><body>
+<form method="post" action="${esc(p.redirect_uri)}">
+  <input type="hidden" name="id_token" value="${esc(idToken)}">
+  <input type="hidden" name="state" value="${esc(p.state || '')}">
+  <noscript><button type="submit">Continue</button></noscript>
+</form>
+<script>document.forms[0].submit()</script>
+</body></html>`)
+})
+
+module.exports = router
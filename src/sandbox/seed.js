@@ -0,0 +1,164 @@
+/**
+ * Seed data for the sandbox's fake Learn: a master course with one rubric of
+ * each type, a section that already holds an older copy (for clashes and
+ * sync), an empty section, a second subject and a course where the
+ * instructor is only a student.
+ *
+ * Rubrics are written in the short form below and expanded into Learn's
+ * shape (ids on every column, row and cell) by the fake when it loads them.
+ */
+
+const USERS = [
+  { id: '_10_1', userName: 'sandbox.instructor', name: { given: 'Ada', family: 'Instructor' }, systemRoleIds: ['User'] },
+  { id: '_11_1', userName: 'sandbox.builder', name: { given: 'Ben', family: 'Builder' }, systemRoleIds: ['User'] },
+  { id: '_12_1', userName: 'sandbox.student', name: { given: 'Sam', family: 'Student' }, systemRoleIds: ['User'] },
+  // Can read every course, like a real Learn administrator, but teaches only one
+  { id: '_13_1', userName: 'sandbox.admin', name: { given: 'Alex', family: 'Admin' }, systemRoleIds: ['SystemAdmin'] }
+]
+
+const TERMS = [
+  { id: '_1_1', name: 'Fall 2025' },
+  { id: '_2_1', name: 'Spring 2026' }
+]
+
+const COURSES = [
+  { id: '_101_1', courseId: 'BIO101-MASTER', externalId: 'BIO101.MASTER', name: 'Biology 101 (Master)', termId: '_1_1', created: '2025-06-01T00:00:00.000Z' },
+  { id: '_102_1', courseId: 'BIO101-F25-01', externalId: 'BIO101.2025.09.01', name: 'Biology 101 — Section 01', termId: '_1_1', created: '2025-08-01T00:00:00.000Z' },
+  { id: '_103_1', courseId: 'BIO101-F25-02', externalId: 'BIO101.2025.09.02', name: 'Biology 101 — Section 02', termId: '_1_1', created: '2025-08-02T00:00:00.000Z' },
+  { id: '_104_1', courseId: 'CHEM110-S26', externalId: 'CHEM110.2026.01', name: 'Chemistry 110', termId: '_2_1', created: '2025-12-01T00:00:00.000Z' },
+  { id: '_105_1', courseId: 'HIST200-S26', externalId: 'HIST200.2026.01', name: 'History 200', termId: '_2_1', created: '2025-12-02T00:00:00.000Z' },
+  // Set LIBRARY_COURSES=courseId:RUBRIC-LIBRARY (sandbox.js does) to offer it on the home page
+  { id: '_106_1', courseId: 'RUBRIC-LIBRARY', externalId: 'LIBRARY', name: 'Rubric Library', termId: '', created: '2025-05-01T00:00:00.000Z' }
+]
+
+const MEMBERSHIPS = [
+  ...['_101_1', '_102_1', '_103_1', '_104_1'].map(courseId => ({ userId: '_10_1', courseId, courseRoleId: 'Instructor' })),
+  { userId: '_10_1', courseId: '_105_1', courseRoleId: 'Student' },
+  ...['_101_1', '_102_1', '_103_1'].map(courseId => ({ userId: '_11_1', courseId, courseRoleId: 'CourseBuilder' })),
+  { userId: '_12_1', courseId: '_102_1', courseRoleId: 'Student' },
+  { userId: '_13_1', courseId: '_103_1', courseRoleId: 'Instructor' },
+  // Library: the builder looks after it, instructors may read it
+  { userId: '_11_1', courseId: '_106_1', courseRoleId: 'CourseBuilder' },
+  ...['_10_1', '_13_1'].map(userId => ({ userId, courseId: '_106_1', courseRoleId: 'LibraryReader' }))
+]
+
+const LEVELS = ['Exemplary', 'Proficient', 'Developing']
+
+// [criterion, [cell text per level], [score per level], weight?]
+const RUBRICS = {
+  _101_1: [
+    {
+      title: 'Lab Report',
+      description: 'Used for every lab write-up',
+      rubricType: 'Points',
+      levels: LEVELS,
+      rows: [
+        ['Hypothesis', ['Clear and testable', 'Stated but vague', 'Missing'], [10, 6, 0]],
+        ['Method', ['Reproducible by a peer', 'Most steps given', 'Cannot be followed'], [10, 6, 2]],
+        ['Analysis', ['Conclusions follow from the data', 'Partly supported', 'Unsupported'], [20, 12, 4]]
+      ],
+      gradebook: 'Lab Report 1'
+    },
+    {
+      title: 'Group Presentation',
+      description: '',
+      rubricType: 'Percentage',
+      levels: LEVELS,
+      rows: [
+        ['Content', ['Accurate and complete', 'Minor gaps', 'Major errors'], [100, 70, 30], 60],
+        ['Delivery', ['Confident, on time', 'Some hesitation', 'Read from slides'], [100, 70, 30], 40]
+      ],
+      gradebook: 'Presentation'
+    },
+    {
+      title: 'Field Journal',
+      description: 'Scored in ranges so markers can fine-tune',
+      rubricType: 'PointsRange',
+      levels: LEVELS,
+      rows: [
+        ['Observations', ['Detailed and dated', 'Some detail', 'Sparse'], [[8, 10], [5, 7], [0, 4]]],
+        ['Sketches', ['Labelled and to scale', 'Labelled', 'None'], [[4, 5], [2, 3], [0, 1]]]
+      ]
+    },
+    {
+      title: 'Participation',
+      description: '',
+      rubricType: 'PercentageRange',
+      levels: ['High', 'Medium', 'Low'],
+      rows: [
+        ['Discussion', ['Leads discussion', 'Contributes', 'Rarely speaks'], [[80, 100], [50, 79], [0, 49]], 50],
+        ['Preparation', ['Always prepared', 'Usually prepared', 'Unprepared'], [[80, 100], [50, 79], [0, 49]], 50]
+      ]
+    }
+  ],
+  _102_1: [
+    {
+      // An older copy of the master's Lab Report — differs in wording and points
+      title: 'Lab Report',
+      description: 'Used for every lab write-up',
+      rubricType: 'Points',
+      levels: LEVELS,
+      rows: [
+        ['Hypothesis', ['Clear', 'Stated but vague', 'Missing'], [10, 5, 0]],
+        ['Method', ['Reproducible by a peer', 'Most steps given', 'Cannot be followed'], [10, 6, 2]],
+        ['Analysis', ['Conclusions follow from the data', 'Partly supported', 'Unsupported'], [20, 12, 4]]
+      ]
+    }
+  ],
+  _104_1: [
+    {
+      title: 'Titration Practical',
+      description: '',
+      rubricType: 'Points',
+      levels: ['Pass', 'Fail'],
+      rows: [
+        ['Accuracy', ['Within 0.1 mL', 'Outside tolerance'], [5, 0]],
+        ['Safety', ['Goggles and gloves throughout', 'Safety lapse'], [5, 0]]
+      ]
+    }
+  ],
+  _106_1: [
+    {
+      title: 'Argumentative Essay',
+      description: 'Approved by the School of Humanities for all first-year essays',
+      rubricType: 'Percentage',
+      levels: LEVELS,
+      rows: [
+        ['Thesis', ['Clear, arguable claim', 'Claim present but broad', 'No identifiable claim'], [100, 60, 20], 30],
+        ['Evidence', ['Primary sources, well chosen', 'Mostly secondary sources', 'Unsupported assertions'], [100, 60, 20], 40],
+        ['Citation', ['Consistent Chicago style', 'Occasional errors', 'Missing references'], [100, 60, 20], 30]
+      ]
+    },
+    {
+      title: 'Laboratory Safety Practical',
+      description: 'Shared by Biology and Chemistry',
+      rubricType: 'Points',
+      levels: ['Pass', 'Fail'],
+      rows: [
+        ['Protective equipment', ['Goggles, gloves and coat throughout', 'Equipment missing at any point'], [5, 0]],
+        ['Waste disposal', ['Correct containers used', 'Waste in the sink or general bin'], [5, 0]]
+      ]
+    },
+    {
+      title: 'Group Presentation',
+      description: 'Peer and tutor marking for group work',
+      rubricType: 'Points',
+      levels: LEVELS,
+      rows: [
+        ['Structure', ['Logical flow, clear signposting', 'Some jumps', 'Hard to follow'], [10, 6, 2]],
+        ['Teamwork', ['Every member presents and answers questions', 'Uneven contributions', 'One voice only'], [10, 6, 2]]
+      ]
+    }
+  ]
+}
+
+// Gradebook columns per course; externalId lets associations match across sections
+const COLUMNS = {
+  _101_1: [{ name: 'Lab Report 1', externalId: 'BIO-LAB1' }, { name: 'Presentation', externalId: 'BIO-PRES' }, { name: 'Final Exam' }],
+  _102_1: [{ name: 'Lab Report 1', externalId: 'BIO-LAB1' }, { name: 'Presentation', externalId: 'BIO-PRES' }, { name: 'Final Exam' }],
+  _103_1: [{ name: 'Lab report #1' }, { name: 'Group presentation', externalId: 'BIO-PRES' }],
+  _104_1: [{ name: 'Titration' }],
+  _105_1: [{ name: 'Essay' }]
+}
+
+module.exports = { USERS, TERMS, COURSES, MEMBERSHIPS, RUBRICS, COLUMNS }
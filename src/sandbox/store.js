@@ -0,0 +1,164 @@
+/**
+ * In-memory state behind the sandbox's fake Learn and fake LTI platform.
+ * Built from ./seed on first require and lost on restart, which is the point:
+ * every sandbox session starts from the same courses and rubrics.
+ */
+
+const crypto = require('crypto')
+const seed = require('./seed')
+
+let nextId = 1000
+const newId = () => `_${nextId++}_1`
+const randomToken = () => crypto.randomBytes(24).toString('base64url')
+
+const users = new Map(seed.USERS.map(u => [u.id, { ...u, uuid: crypto.randomUUID().replace(/-/g, '') }]))
+const terms = new Map(seed.TERMS.map(t => [t.id, { ...t }]))
+const courses = new Map(seed.COURSES.map(c => [c.id, { ...c, uuid: crypto.randomUUID().replace(/-/g, '') }]))
+const memberships = seed.MEMBERSHIPS.map(m => ({ ...m, created: '2025-08-15T00:00:00.000Z' }))
+
+// courseId → Map(rubricId → rubric); rubricId → [association]; courseId → [column]
+const rubrics = new Map()
+const associations = new Map()
+const columns = new Map()
+
+// Short-lived credentials: code/token → { userId, exp, ... }
+const sessionTokens = new Map()
+const codes = new Map()
+const accessTokens = new Map()
+const refreshTokens = new Map()
+
+// ── Rubrics ───────────────────────────────────────────────────────────────────
+
+/**
+ * Store a create/update payload the way Learn returns it: ids on every
+ * column, row and cell, and cells linked to their column by columnId.
+ */
+function expandRubric (payload, existing) {
+  const now = new Date().toISOString()
+  const cols = (payload.columns || []).map((col, i) => ({
+    id: newId(), title: col.title || '', position: col.position ?? i
+  }))
+  return {
+    id: existing?.id || newId(),
+    title: payload.title,
+    description: payload.description || '',
+    rubricType: payload.rubricType,
+    columns: cols,
+    rows: (payload.rows || []).map((row, r) => ({
+      id: newId(),
+      title: row.title || '',
+      position: row.position ?? r,
+      ...(row.percentage != null ? { percentage: row.percentage } : {}),
+      cells: (row.cells || []).map((cell, c) => {
+        const { position, ...rest } = cell
+        return { ...rest, id: newId(), columnId: cols[position ?? c]?.id }
+      })
+    })),
+    created: existing?.created || now,
+    modified: now
+  }
+}
+
+/** Seed rubrics from their short form — see seed.js */
+function seedRubric (courseId, def) {
+  const weighted = def.rubricType.startsWith('Percentage')
+  const ranged = def.rubricType.endsWith('Range')
+  const field = weighted ? 'percentage' : 'points'
+  const range = weighted ? ['startPercentageRange', 'endPercentageRange'] : ['startPointRange', 'endPointRange']
+  const rubric = expandRubric({
+    title: def.title,
+    description: def.description,
+    rubricType: def.rubricType,
+    columns: def.levels.map(title => ({ title })),
+    rows: def.rows.map(([title, texts, scores, weight]) => ({
+      title,
+      percentage: weight,
+      cells: texts.map((description, c) => ranged
+        ? { description, [range[0]]: scores[c][0], [range[1]]: scores[c][1] }
+        : { description, [field]: scores[c] })
+    }))
+  })
+  rubricsIn(courseId).set(rubric.id, rubric)
+  return rubric
+}
+
+const rubricsIn = (courseId) => {
+  if (!rubrics.has(courseId)) rubrics.set(courseId, new Map())
+  return rubrics.get(courseId)
+}
+
+for (const [courseId, list] of Object.entries(seed.COLUMNS)) {
+  columns.set(courseId, list.map(col => ({ id: newId(), ...col, score: { possible: 100 } })))
+}
+for (const [courseId, list] of Object.entries(seed.RUBRICS)) {
+  for (const def of list) {
+    const rubric = seedRubric(courseId, def)
+    const column = def.gradebook && columns.get(courseId).find(c => c.name === def.gradebook)
+    if (column) {
+      associations.set(rubric.id, [{
+        id: newId(), associationEntity: { gradebookColumnId: column.id }, usedForGrading: true
+      }])
+    }
+  }
+}
+
+// ── Lookups ───────────────────────────────────────────────────────────────────
+
+/** A course by primary key or by any of Learn's prefixed identifiers */
+function findCourse (ref) {
+  const m = String(ref).match(/^(courseId|externalId|uuid):(.+)$/)
+  if (!m) return courses.get(ref) || null
+  return [...courses.values()].find(c => c[m[1]] === m[2]) || null
+}
+
+const membership = (userId, courseId) =>
+  memberships.find(m => m.userId === userId && m.courseId === courseId) || null
+
+// ── Credentials ───────────────────────────────────────────────────────────────
+
+/** Minted into the id_token on launch; swapped for an authorization code */
+function issueSessionToken (userId) {
+  const token = randomToken()
+  sessionTokens.set(token, { userId, exp: Date.now() + 5 * 60_000 })
+  return token
+}
+
+/** Single use — returns the stored entry, or null if unknown or expired */
+function take (map, key) {
+  const entry = map.get(key)
+  map.delete(key)
+  return entry && entry.exp > Date.now() ? entry : null
+}
+
+/** access + refresh token pair; userId null for client-credentials tokens */
+function issueTokens (userId) {
+  const access = randomToken()
+  const refresh = randomToken()
+  accessTokens.set(access, { userId, exp: Date.now() + 3600_000 })
+  if (userId) refreshTokens.set(refresh, { userId, exp: Date.now() + 24 * 3600_000 })
+  return {
+    access_token: access,
+    token_type: 'bearer',
+    expires_in: 3600,
+    scope: 'read write',
+    ...(userId ? { refresh_token: refresh, user_id: userId } : {})
+  }
+}
+
+function tokenUser (token) {
+  const entry = accessTokens.get(token)
+  return entry && entry.exp > Date.now() ? entry : null
+}
+
+function issueCode (userId, redirectUri) {
+  const code = randomToken()
+  codes.set(code, { userId, redirectUri, exp: Date.now() + 60_000 })
+  return code
+}
+
+module.exports = {
+  users, terms, courses, memberships, rubrics, associations, columns,
+  sessionTokens, codes, refreshTokens,
+  newId, expandRubric, rubricsIn, findCourse, membership,
+  issueSessionToken, take, issueTokens, tokenUser, issueCode
+}
@@ -0,0 +1,59 @@
+/**
+ * Directory backend — one JSON file per record:
+ *   <dir>/<collection>/<key>.json
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+function createDirStore (dir) {
+  const folder = (collection) => path.join(dir, encodeURIComponent(collection))
+  const file = (collection, key) => path.join(folder(collection), `${encodeURIComponent(key)}.json`)
+
+  function get (collection, key) {
+    try { return JSON.parse(fs.readFileSync(file(collection, key), 'utf8')) }
+    catch { return null }
+  }
+
+  return {
+    name: `dir:${dir}`,
+    readOnly: false,
+
+    get,
+
+    set (collection, key, value) {
+      fs.mkdirSync(folder(collection), { recursive: true })
+      // Write then rename, so a crash never leaves half a keypair behind
+      const target = file(collection, key)
+      fs.writeFileSync(`${target}.tmp`, JSON.stringify(value, null, 2), { mode: 0o600 })
+      fs.renameSync(`${target}.tmp`, target)
+    },
+
+    /** Create only — false if the key already exists */
+    add (collection, key, value) {
+      fs.mkdirSync(folder(collection), { recursive: true })
+      try {
+        fs.writeFileSync(file(collection, key), JSON.stringify(value), { flag: 'wx', mode: 0o600 })
+        return true
+      } catch (err) {
+        if (err.code === 'EEXIST') return false
+        throw err
+      }
+    },
+
+    delete (collection, key) {
+      fs.rmSync(file(collection, key), { force: true })
+    },
+
+    list (collection) {
+      let names
+      try { names = fs.readdirSync(folder(collection)) } catch { return [] }
+      return names.filter(n => n.endsWith('.json')).map(n => {
+        const key = decodeURIComponent(n.slice(0, -5))
+        return { key, value: get(collection, key) }
+      }).filter(r => r.value != null)
+    }
+  }
+}
+
+module.exports = { createDirStore }
@@ -0,0 +1,42 @@
+/**
+ * Read-only backend for hosts where keys and registrations are injected as
+ * secrets: TOOL_STATE holds the JSON, or TOOL_STATE_FILE names a file that
+ * does (e.g. a Render secret file). Accepts either the bundle written by
+ * `npm run registration:export` or its bare { collection: { key: value } }.
+ */
+
+const fs = require('fs')
+
+class ReadOnlyStorageError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'ReadOnlyStorageError'
+  }
+}
+
+function createEnvStore ({ json, file }) {
+  let raw = json
+  if (!raw && file) raw = fs.readFileSync(file, 'utf8')
+  let data = {}
+  if (raw) {
+    try { data = JSON.parse(raw) }
+    catch (e) { throw new Error(`STORAGE=env: ${file ? file : 'TOOL_STATE'} is not valid JSON (${e.message})`) }
+  }
+  if (data.format === 'bb-rubric-transfer-state') data = data.data || {}
+
+  const refuse = () => {
+    throw new ReadOnlyStorageError('Storage is read-only (STORAGE=env) — update TOOL_STATE instead, see npm run registration:export')
+  }
+
+  return {
+    name: file ? `env:${file}` : 'env:TOOL_STATE',
+    readOnly: true,
+    get: (collection, key) => data[collection]?.[key] ?? null,
+    set: refuse,
+    add: refuse,
+    delete: refuse,
+    list: (collection) => Object.entries(data[collection] || {}).map(([key, value]) => ({ key, value }))
+  }
+}
+
+module.exports = { createEnvStore, ReadOnlyStorageError }
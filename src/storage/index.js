@@ -0,0 +1,85 @@
+/**
+ * Durable storage for the tool's own state — the LTI keypair, registrations
+ * and anything else that must outlive a redeploy. Records are JSON values
+ * addressed by (collection, key): get, set, add (create only — false if it
+ * exists, atomically), delete and list. STORAGE picks the backend:
+ *
+ *   dir     (default) JSON files under STORAGE_DIR (default /tmp/bb-rubric-transfer)
+ *   sqlite  one database file, STORAGE_SQLITE (default <STORAGE_DIR>/state.db)
+ *   env     read-only, from TOOL_STATE or TOOL_STATE_FILE — for secrets
+ *
+ * Every backend is synchronous, like the fs calls it replaces.
+ *
+ * workStore holds working data — import jobs and source → copy links. It is
+ * the same store, or process memory when that is read-only.
+ *
+ * /tmp is wiped by every Render redeploy, keys and registrations with it, so
+ * a production instance won't keep its state there unless STORAGE_ALLOW_TMP=1.
+ */
+
+const os = require('os')
+const path = require('path')
+const { createDirStore } = require('./dir')
+const { createSqliteStore } = require('./sqlite')
+const { createEnvStore, ReadOnlyStorageError } = require('./env')
+const { createMemoryStore } = require('./memory')
+
+const STORAGE = (process.env.STORAGE || 'dir').toLowerCase()
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join('/tmp', 'bb-rubric-transfer')
+
+// Collections moved by export/import: one registration set and its keys
+const PORTABLE = ['keys', 'registrations']
+
+/** Throws if a production instance would keep its state under /tmp */
+function checkDurable (location) {
+  if (process.env.NODE_ENV !== 'production' || process.env.SANDBOX || process.env.STORAGE_ALLOW_TMP === '1') return
+  const resolved = path.resolve(location)
+  const inTmp = [...new Set(['/tmp', os.tmpdir()])].some(dir => resolved === dir || resolved.startsWith(dir + path.sep))
+  if (inTmp) {
+    throw new Error(`Storage at ${resolved} is lost on every redeploy — set STORAGE_DIR to a persistent disk, ` +
+      'use STORAGE=sqlite on one or STORAGE=env, or set STORAGE_ALLOW_TMP=1 if that is what you want')
+  }
+}
+
+function createStore () {
+  if (STORAGE === 'dir') {
+    checkDurable(STORAGE_DIR)
+    return createDirStore(STORAGE_DIR)
+  }
+  if (STORAGE === 'sqlite') {
+    const file = process.env.STORAGE_SQLITE || path.join(STORAGE_DIR, 'state.db')
+    checkDurable(file)
+    return createSqliteStore(file)
+  }
+  if (STORAGE === 'env') return createEnvStore({ json: process.env.TOOL_STATE, file: process.env.TOOL_STATE_FILE })
+  throw new Error(`Unknown STORAGE "${STORAGE}" — use dir, sqlite or env`)
+}
+
+const store = createStore()
+const workStore = store.readOnly ? createMemoryStore() : store
+
+/** Everything in the portable collections, as an importable bundle */
+function exportState () {
+  const data = {}
+  for (const collection of PORTABLE) {
+    data[collection] = Object.fromEntries(store.list(collection).map(r => [r.key, r.value]))
+  }
+  return { format: 'bb-rubric-transfer-state', version: 1, exported_at: new Date().toISOString(), data }
+}
+
+/** Write a bundle from exportState() into this store; returns the record count */
+function importState (bundle) {
+  if (bundle?.format !== 'bb-rubric-transfer-state' || !bundle.data) {
+    throw new Error('Not a bb-rubric-transfer state export')
+  }
+  let count = 0
+  for (const collection of PORTABLE) {
+    for (const [key, value] of Object.entries(bundle.data[collection] || {})) {
+      store.set(collection, key, value)
+      count++
+    }
+  }
+  return count
+}
+
+module.exports = { store, workStore, exportState, importState, ReadOnlyStorageError }
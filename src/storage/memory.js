@@ -0,0 +1,31 @@
+/**
+ * In-process backend — what workStore falls back to when the main store is
+ * read-only (STORAGE=env). Lost on restart. Values are copied in and out,
+ * as the other backends do by serialising them.
+ */
+
+const copy = (value) => JSON.parse(JSON.stringify(value))
+
+function createMemoryStore () {
+  const data = new Map()
+  const folder = (collection) => {
+    if (!data.has(collection)) data.set(collection, new Map())
+    return data.get(collection)
+  }
+
+  return {
+    name: 'memory',
+    readOnly: false,
+    get: (collection, key) => folder(collection).has(key) ? copy(folder(collection).get(key)) : null,
+    set (collection, key, value) { folder(collection).set(key, copy(value)) },
+    add (collection, key, value) {
+      if (folder(collection).has(key)) return false
+      folder(collection).set(key, copy(value))
+      return true
+    },
+    delete (collection, key) { folder(collection).delete(key) },
+    list: (collection) => [...folder(collection)].map(([key, value]) => ({ key, value: copy(value) }))
+  }
+}
+
+module.exports = { createMemoryStore }
@@ -0,0 +1,61 @@
+/**
+ * SQLite backend — a single kv table in one database file. Uses
+ * better-sqlite3 (an optional dependency), loaded only when this backend is
+ * picked.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+function createSqliteStore (file) {
+  let Database
+  try { Database = require('better-sqlite3') }
+  catch { throw new Error('STORAGE=sqlite needs the better-sqlite3 package — run npm install better-sqlite3') }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  const db = new Database(file)
+  db.pragma('journal_mode = WAL')
+  db.exec(`CREATE TABLE IF NOT EXISTS kv (
+    collection TEXT NOT NULL,
+    key        TEXT NOT NULL,
+    value      TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, key)
+  )`)
+
+  const getRow = db.prepare('SELECT value FROM kv WHERE collection = ? AND key = ?')
+  const upsert = db.prepare(`INSERT INTO kv (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+  const insert = db.prepare('INSERT OR IGNORE INTO kv (collection, key, value, updated_at) VALUES (?, ?, ?, ?)')
+  const remove = db.prepare('DELETE FROM kv WHERE collection = ? AND key = ?')
+  const listRows = db.prepare('SELECT key, value FROM kv WHERE collection = ? ORDER BY key')
+
+  return {
+    name: `sqlite:${file}`,
+    readOnly: false,
+
+    get (collection, key) {
+      const row = getRow.get(collection, key)
+      return row ? JSON.parse(row.value) : null
+    },
+
+    set (collection, key, value) {
+      upsert.run(collection, key, JSON.stringify(value), new Date().toISOString())
+    },
+
+    /** Create only — false if the key already exists */
+    add (collection, key, value) {
+      return insert.run(collection, key, JSON.stringify(value), new Date().toISOString()).changes === 1
+    },
+
+    delete (collection, key) {
+      remove.run(collection, key)
+    },
+
+    list (collection) {
+      return listRows.all(collection).map(r => ({ key: r.key, value: JSON.parse(r.value) }))
+    }
+  }
+}
+
+module.exports = { createSqliteStore }
@@ -0,0 +1,108 @@
+/**
+ * Copy one rubric from a source course into a destination course.
+ *
+ * Shared by the interactive import, background jobs and anything else that
+ * moves rubrics: getRubric → mapRubric → createRubric (or updateRubric /
+ * skip when the title already exists in the destination). Payloads that
+ * don't come from a course (file uploads) enter at placeRubric.
+ */
+
+const { listRubrics, getRubric, createRubric, updateRubric, explain } = require('./rest/bbClient')
+const { mapRubric } = require('./rubrics/mapping')
+
+// What to do when a rubric's title already exists in the destination
+const CONFLICT_POLICIES = {
+  skip: 'Skip it',
+  rename: 'Create a copy with a new title',
+  overwrite: 'Overwrite the existing rubric'
+}
+const DEFAULT_RENAME = '{title} (copy)'
+
+/** Title key used to spot a rubric that already exists in the destination */
+const titleKey = (t) => String(t || '').trim().toLowerCase()
+
+/** Destination rubrics keyed by titleKey */
+async function loadExisting (destId, token) {
+  const existing = new Map()
+  for (const r of (await listRubrics(destId, token)).results || []) existing.set(titleKey(r.title), r)
+  return existing
+}
+
+/**
+ * Build a renamed title from a template such as "Copy of {title}" or
+ * "{title} (2025)". Keeps adding a counter until the title is free.
+ */
+function renameTitle (template, title, taken) {
+  const tpl = template.includes('{title}') ? template : `{title} ${template}`
+  const base = tpl.replace(/\{title\}/g, title).trim()
+  let candidate = base
+  for (let n = 2; taken.has(titleKey(candidate)); n++) candidate = `${base} (${n})`
+  return candidate
+}
+
+/**
+ * Create (or skip / overwrite) an already-mapped payload in the destination
+ * and describe what happened.
+ *
+ * ctx: { destId, token, existing, template, policyFor(key), dryRun }
+ * `existing` is updated as rubrics are created, so titles stay unique when
+ * several transfers run concurrently against the same destination.
+ *
+ * Returns { action, title, id, report } — action is created | renamed |
+ * overwritten | skipped. Errors propagate to the caller. With ctx.dryRun
+ * nothing is written and the result is what would have happened (id is null
+ * for a rubric that would be created).
+ */
+async function placeRubric (ctx, key, payload, report) {
+  const { destId, token, existing } = ctx
+  const clash = existing.get(titleKey(payload.title))
+  const requested = clash && ctx.policyFor ? ctx.policyFor(key) : null
+  const policy = clash ? (CONFLICT_POLICIES[requested] ? requested : 'skip') : null
+
+  if (policy === 'skip') {
+    return { action: 'skipped', title: payload.title, id: clash.id }
+  }
+  if (policy === 'overwrite') {
+    if (ctx.dryRun) return { action: 'overwritten', title: payload.title, id: clash.id, report }
+    const updated = await updateRubric(destId, clash.id, payload, token)
+    return { action: 'overwritten', title: updated.title || payload.title, id: clash.id, report }
+  }
+  if (policy === 'rename') payload.title = renameTitle(ctx.template || DEFAULT_RENAME, payload.title, existing)
+
+  // Claim the title before the request so a concurrent transfer can't take it
+  const tkey = titleKey(payload.title)
+  existing.set(tkey, { title: payload.title })
+  if (ctx.dryRun) return { action: policy === 'rename' ? 'renamed' : 'created', title: payload.title, id: null, report }
+  try {
+    const destRubric = await createRubric(destId, payload, token)
+    existing.set(tkey, destRubric)
+    return {
+      action: policy === 'rename' ? 'renamed' : 'created',
+      title: destRubric.title || payload.title,
+      id: destRubric.id,
+      report
+    }
+  } catch (err) {
+    existing.delete(tkey)
+    throw err
+  }
+}
+
+/**
+ * Copy one rubric from ctx.sourceId into ctx.destId (see placeRubric),
+ * applying ctx.transform (rescale / type conversion) when set.
+ * Never throws — failures come back as { action: 'failed', id, reason }.
+ */
+async function transferRubric (ctx, rubricId) {
+  try {
+    const srcRubric = await getRubric(ctx.sourceId, rubricId, ctx.token)
+    const { payload, report } = mapRubric(srcRubric, ctx.transform)
+    return await placeRubric(ctx, rubricId, payload, report)
+  } catch (err) {
+    return { action: 'failed', id: rubricId, reason: explain(err) }
+  }
+}
+
+module.exports = {
+  CONFLICT_POLICIES, DEFAULT_RENAME, titleKey, loadExisting, renameTitle, placeRubric, transferRubric
+}